@@ -1,31 +1,83 @@
 const createError = require("http-errors");
 const express = require("express");
+const hbs = require("hbs");
 const path = require("path");
 const cookieParser = require("cookie-parser");
 const lessMiddleware = require("less-middleware");
 const logger = require("morgan");
 const config = require("./config")();
+const session = require("./middleware/session");
+const siteSettings = require("./middleware/site-settings");
+const srcset = require("./lib/srcset");
 const admin = require("./routes/admin");
-const indexRouter = require("./routes/index");
-const blog = require("./controllers/Blog");
-const page = require("./controllers/Page");
+const api = require("./routes/api");
+const home = require("./routes/index");
+const Blog = require("./routes/blog");
+const Page = require("./routes/page");
+const Feed = require("./routes/feed");
+const Sitemap = require("./routes/sitemap");
 
 const app = express();
 
 // view engine setup
 app.set("views", path.join(__dirname, "templates"));
 app.set("view engine", "hbs");
+hbs.registerPartials(path.join(__dirname, "templates", "partials"));
+hbs.registerHelper("srcset", srcset);
 
 app.use(logger("dev"));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
-app.use(cookieParser());
+app.use(cookieParser(config.session.secret));
 app.use(lessMiddleware(path.join(__dirname, "public")));
 app.use(express.static(path.join(__dirname, "public")));
+// uploaded media, which may live outside public/ (see config.media.root)
+app.use(config.media.url, express.static(path.resolve(__dirname, config.media.root)));
+// after the static handlers, so assets don't look up and refresh the session
+app.use(
+  session({ ...config.session, secure: config.mode === "production" })
+);
+
+app.use("/api", api);
+app.use(siteSettings());
 
 app.all("/", function (req, res, next) {
   home.run(req, res, next);
 });
+app.all("/admin*", function (req, res, next) {
+  admin.run(req, res, next);
+});
+app.all("/blog", function (req, res, next) {
+  Blog.run(req, res, next);
+});
+app.get(
+  [
+    "/blog/:format(feed.xml|atom.xml|feed.json)",
+    "/blog/:scope(tag|category)/:term/:format(feed.xml|atom.xml|feed.json)",
+  ],
+  function (req, res, next) {
+    Feed.run(req, res, next);
+  }
+);
+app.get("/blog/:slug", function (req, res, next) {
+  Blog.runArticle(req, res, next);
+});
+app.post("/blog/:slug/comments", function (req, res, next) {
+  Blog.runComment(req, res, next);
+});
+app.get("/robots.txt", function (req, res, next) {
+  Sitemap.runRobots(req, res, next);
+});
+app.get("/sitemap.xml", function (req, res, next) {
+  Sitemap.run(req, res, next);
+});
+app.get("/sitemap-:page.xml", function (req, res, next) {
+  Sitemap.runPage(req, res, next);
+});
+// catch-all for pages, resolved by slug; keep this after every other route
+app.get("/:slug", function (req, res, next) {
+  Page.run(req, res, next);
+});
 
 // catch 404 and forward to error handler
 app.use(function (req, res, next) {
@@ -42,23 +94,6 @@ app.use(function (err, req, res, next) {
   res.status(err.status || 500);
   res.render("error");
 });
-app.all("/admin*", function (req, res, next) {
-  admin.run(req, res, next);
-});
-app.all("/blog/:id", function (req, res, next) {
-  Blog.runArticle(req, res, next);
-});
-app.all("/blog", function (req, res, next) {
-  Blog.run(req, res, next);
-});
-app.all("/services", function (req, res, next) {
-  Page.run("services", req, res, next);
-});
-app.all("/careers", function (req, res, next) {
-  Page.run("careers", req, res, next);
-});
-app.all("/contacts", function (req, res, next) {
-  Page.run("contacts", req, res, next);
-});
+
 process.env.PORT = config.port;
 module.exports = app;
@@ -15,6 +15,32 @@ const config = {
         bufferMaxEntries: 0
       }
     },
+    auth: {
+      max_failed_logins: 5,
+      lockout_minutes: 15
+    },
+    session: {
+      secret: process.env.SESSION_SECRET || "local-session-secret",
+      cookie_name: "fastdelivery.sid",
+      max_age: 86400,
+      touch_interval: 60
+    },
+    scheduler: {
+      enabled: true,
+      intervals: {
+        content_schedule: 60,
+        media_processing: 30,
+        analytics_privacy: 3600,
+        analytics_rollup: 3600
+      }
+    },
+    media: {
+      root: process.env.MEDIA_ROOT || "public/uploads",
+      url: "/uploads",
+      max_file_size: 10 * 1024 * 1024,
+      max_files: 10,
+      allowed_types: ["image/jpeg", "image/png", "image/gif", "image/webp", "application/pdf"]
+    },
   },
   staging: {
     mode: "staging",
@@ -32,6 +58,32 @@ const config = {
         bufferMaxEntries: 0
       }
     },
+    auth: {
+      max_failed_logins: 5,
+      lockout_minutes: 15
+    },
+    session: {
+      secret: process.env.SESSION_SECRET || "staging-session-secret",
+      cookie_name: "fastdelivery.sid",
+      max_age: 86400,
+      touch_interval: 60
+    },
+    scheduler: {
+      enabled: true,
+      intervals: {
+        content_schedule: 60,
+        media_processing: 30,
+        analytics_privacy: 3600,
+        analytics_rollup: 3600
+      }
+    },
+    media: {
+      root: process.env.MEDIA_ROOT || "public/uploads",
+      url: "/uploads",
+      max_file_size: 10 * 1024 * 1024,
+      max_files: 10,
+      allowed_types: ["image/jpeg", "image/png", "image/gif", "image/webp", "application/pdf"]
+    },
   },
   production: {
     mode: "production",
@@ -49,6 +101,32 @@ const config = {
         bufferMaxEntries: 0
       }
     },
+    auth: {
+      max_failed_logins: 5,
+      lockout_minutes: 15
+    },
+    session: {
+      secret: process.env.SESSION_SECRET,
+      cookie_name: "fastdelivery.sid",
+      max_age: 86400,
+      touch_interval: 60
+    },
+    scheduler: {
+      enabled: true,
+      intervals: {
+        content_schedule: 60,
+        media_processing: 30,
+        analytics_privacy: 3600,
+        analytics_rollup: 3600
+      }
+    },
+    media: {
+      root: process.env.MEDIA_ROOT || "public/uploads",
+      url: "/uploads",
+      max_file_size: 10 * 1024 * 1024,
+      max_files: 10,
+      allowed_types: ["image/jpeg", "image/png", "image/gif", "image/webp", "application/pdf"]
+    },
   },
 };
 module.exports = function (mode) {
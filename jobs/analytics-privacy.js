@@ -0,0 +1,15 @@
+const { Analytics } = require("../models");
+
+// Applies the analytics privacy settings to stored events: strips IP
+// addresses and user agents after a while and deletes events past the
+// retention period.
+module.exports = async function analyticsPrivacy() {
+  const privacy = await Analytics.getPrivacySettings();
+  const result = await Analytics.applyRetention(privacy);
+  if (result.anonymized > 0 || result.deleted > 0) {
+    console.log(
+      `Analytics retention: ${result.anonymized} events anonymized, ${result.deleted} deleted`
+    );
+  }
+  return result;
+};
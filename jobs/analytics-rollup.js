@@ -0,0 +1,12 @@
+const { Analytics } = require("../models");
+
+// Writes the daily analytics rollups the dashboard reads. Runs hourly but
+// only days that have ended are rolled up, so in practice it does its work
+// in the first run after midnight (UTC) and catches up after downtime.
+module.exports = async function analyticsRollup(now = new Date()) {
+  const dates = await Analytics.rollupPending(now);
+  if (dates.length > 0) {
+    console.log(`Analytics rolled up for ${dates[0]} to ${dates[dates.length - 1]}`);
+  }
+  return dates;
+};
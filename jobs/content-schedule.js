@@ -0,0 +1,30 @@
+const { Content } = require("../models");
+
+// Publish scheduled content that has come due and archive content whose
+// unpublish time has passed. One failing item doesn't stop the others.
+module.exports = async function contentSchedule(now = new Date()) {
+  const result = { published: [], archived: [], failed: [] };
+
+  for (const content of await Content.findDueForPublishing(now)) {
+    try {
+      await Content.publishContent(content.ID);
+      result.published.push(content.ID);
+    } catch (error) {
+      result.failed.push({ ID: content.ID, error: error.message });
+    }
+  }
+
+  for (const content of await Content.findDueForUnpublishing(now)) {
+    try {
+      await Content.archiveContent(content.ID);
+      result.archived.push(content.ID);
+    } catch (error) {
+      result.failed.push({ ID: content.ID, error: error.message });
+    }
+  }
+
+  result.failed.forEach(({ ID, error }) =>
+    console.error(`Scheduled publishing failed for ${ID}: ${error}`)
+  );
+  return result;
+};
@@ -0,0 +1,22 @@
+const Scheduler = require("../lib/scheduler");
+const contentSchedule = require("./content-schedule");
+const mediaProcessing = require("./media-processing");
+const analyticsPrivacy = require("./analytics-privacy");
+const analyticsRollup = require("./analytics-rollup");
+
+module.exports = function createScheduler(config) {
+  const intervals = config.scheduler.intervals;
+  return new Scheduler()
+    .register("content-schedule", intervals.content_schedule, () =>
+      contentSchedule()
+    )
+    .register("media-processing", intervals.media_processing, () =>
+      mediaProcessing()
+    )
+    .register("analytics-privacy", intervals.analytics_privacy, () =>
+      analyticsPrivacy()
+    )
+    .register("analytics-rollup", intervals.analytics_rollup, () =>
+      analyticsRollup()
+    );
+};
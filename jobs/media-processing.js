@@ -0,0 +1,22 @@
+const { Media } = require("../models");
+
+// Works through the images waiting for thumbnails, a few per run so a large
+// upload batch doesn't hold the process for long. Failures are recorded on
+// the item itself by Media.process.
+module.exports = async function mediaProcessing(batchSize = 5) {
+  const result = { processed: [], failed: [] };
+
+  for (const media of await Media.claimPending(batchSize)) {
+    try {
+      await Media.process(media);
+      result.processed.push(media.ID);
+    } catch (error) {
+      result.failed.push({ ID: media.ID, error: error.message });
+    }
+  }
+
+  result.failed.forEach(({ ID, error }) =>
+    console.error(`Thumbnail generation failed for ${ID}: ${error}`)
+  );
+  return result;
+};
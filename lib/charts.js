@@ -0,0 +1,82 @@
+// Server-rendered inline SVG charts for the admin analytics dashboard. Both
+// functions return markup for a triple-stash template slot; every label is
+// escaped here.
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Line chart over [{ label, value }], e.g. page views per day
+function lineChart(points, options = {}) {
+  const width = options.width || 800;
+  const height = options.height || 220;
+  const padding = { top: 10, right: 10, bottom: 24, left: 40 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const max = Math.max(1, ...points.map((point) => point.value));
+  const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+
+  const x = (index) => round(padding.left + index * step);
+  const y = (value) => round(padding.top + plotHeight - (value / max) * plotHeight);
+  const path = points
+    .map((point, index) => `${index === 0 ? "M" : "L"}${x(index)},${y(point.value)}`)
+    .join(" ");
+
+  // First, middle and last label keep the axis readable for long ranges
+  const labelled = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+
+  return [
+    `<svg class="chart line-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escape(options.title || "")}">`,
+    `<line class="axis" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" />`,
+    `<text class="axis-label" x="${padding.left - 6}" y="${padding.top + 10}" text-anchor="end">${max}</text>`,
+    `<text class="axis-label" x="${padding.left - 6}" y="${padding.top + plotHeight}" text-anchor="end">0</text>`,
+    points.length > 0 ? `<path class="line" d="${path}" />` : "",
+    ...points.map(
+      (point, index) =>
+        `<circle class="point" cx="${x(index)}" cy="${y(point.value)}" r="3"><title>${escape(point.label)}: ${point.value}</title></circle>`
+    ),
+    ...labelled
+      .filter((index) => points[index])
+      .map(
+        (index) =>
+          `<text class="axis-label" x="${x(index)}" y="${height - 6}" text-anchor="middle">${escape(points[index].label)}</text>`
+      ),
+    "</svg>",
+  ].join("");
+}
+
+// Horizontal bar chart over [{ label, value }], e.g. traffic sources
+function barChart(items, options = {}) {
+  const width = options.width || 400;
+  const barHeight = 22;
+  const gap = 6;
+  const labelWidth = options.labelWidth || 120;
+  const valueWidth = 50;
+  const plotWidth = width - labelWidth - valueWidth;
+  const height = Math.max(barHeight, items.length * (barHeight + gap) - gap);
+  const max = Math.max(1, ...items.map((item) => item.value));
+
+  return [
+    `<svg class="chart bar-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escape(options.title || "")}">`,
+    ...items.map((item, index) => {
+      const top = index * (barHeight + gap);
+      const barWidth = round((item.value / max) * plotWidth);
+      return (
+        `<text class="bar-label" x="${labelWidth - 6}" y="${top + 15}" text-anchor="end">${escape(item.label)}</text>` +
+        `<rect class="bar" x="${labelWidth}" y="${top}" width="${barWidth}" height="${barHeight}"><title>${escape(item.label)}: ${item.value}</title></rect>` +
+        `<text class="bar-value" x="${labelWidth + barWidth + 6}" y="${top + 15}">${item.value}</text>`
+      );
+    }),
+    "</svg>",
+  ].join("");
+}
+
+module.exports = { lineChart, barChart, escape };
@@ -0,0 +1,48 @@
+// Fields derived from a content body: word count, reading time and a
+// generated excerpt. They are computed from the plain text (see
+// markup.toText), so tags, attributes and markdown syntax never count.
+const { toText } = require("./markup");
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 300; // the schema allows 500
+
+// Letters and digits, keeping contractions and hyphenated words together
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+// A sentence with its closing punctuation and any closing quote or bracket
+const SENTENCE = /[^.!?]+(?:[.!?]+["'”’)\]]*|$)/g;
+
+function countWords(text) {
+  return (text.match(WORD) || []).length;
+}
+
+// Whole minutes, and at least one for any text at all
+function readingTime(words) {
+  return words > 0 ? Math.ceil(words / WORDS_PER_MINUTE) : 0;
+}
+
+// As many whole sentences as fit. When even the first one is too long it is
+// cut at a word boundary instead.
+function excerpt(text, length = EXCERPT_LENGTH) {
+  if (text.length <= length) return text;
+  let result = "";
+  for (const sentence of text.match(SENTENCE) || []) {
+    const next = (result + sentence).trim();
+    if (next.length > length) break;
+    result = next;
+  }
+  if (result) return result;
+  // One character is left for the ellipsis; the next character tells
+  // whether the cut falls between two words
+  const space = text.slice(0, length).lastIndexOf(" ");
+  const cut = space > 0 ? text.slice(0, space) : text.slice(0, length - 1);
+  return cut.replace(/[\s,;:.-]+$/, "") + "…";
+}
+
+// { word_count, reading_time, excerpt } for a body in the given format
+function deriveFields(content, format) {
+  const text = toText(content, format);
+  const words = countWords(text);
+  return { word_count: words, reading_time: readingTime(words), excerpt: excerpt(text) };
+}
+
+module.exports = { WORDS_PER_MINUTE, EXCERPT_LENGTH, countWords, readingTime, excerpt, deriveFields };
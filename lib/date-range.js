@@ -0,0 +1,52 @@
+// Reporting periods from ?from=YYYY-MM-DD&to=YYYY-MM-DD, in whole UTC days.
+// Both ends are inclusive; missing or invalid values fall back to the last
+// DEFAULT_DAYS days, and ranges are capped at MAX_DAYS.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDay(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return null;
+  const date = new Date(value + "T00:00:00Z");
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Returns { from, to, start, end, days }: from/to as YYYY-MM-DD, start and
+// end as Dates (end is the last millisecond of the `to` day)
+function parseDateRange(query = {}, now = new Date()) {
+  let last = parseDay(query.to) || startOfDay(now);
+  if (last > startOfDay(now)) last = startOfDay(now);
+  let first = parseDay(query.from) || new Date(last.getTime() - (DEFAULT_DAYS - 1) * DAY_MS);
+  if (first > last) first = last;
+  if ((last - first) / DAY_MS + 1 > MAX_DAYS) {
+    first = new Date(last.getTime() - (MAX_DAYS - 1) * DAY_MS);
+  }
+  return {
+    from: formatDay(first),
+    to: formatDay(last),
+    start: first,
+    end: new Date(last.getTime() + DAY_MS - 1),
+    days: Math.round((last - first) / DAY_MS) + 1,
+  };
+}
+
+// Every day of the range as YYYY-MM-DD, for filling gaps in daily series
+function eachDay(range) {
+  const days = [];
+  for (let time = range.start.getTime(); time <= range.end.getTime(); time += DAY_MS) {
+    days.push(formatDay(new Date(time)));
+  }
+  return days;
+}
+
+module.exports = { DAY_MS, parseDateRange, eachDay, formatDay, startOfDay };
@@ -0,0 +1,60 @@
+// Field-level diff between two plain objects. Nested objects are compared by
+// dotted path; arrays and dates are compared as whole values.
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  );
+}
+
+function flatten(object, prefix = "", result = {}) {
+  Object.keys(object || {}).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = object[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0) ||
+    (isPlainObject(value) && Object.keys(value).length === 0)
+  );
+}
+
+function serialize(value) {
+  return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+}
+
+module.exports = function diff(before, after) {
+  const left = flatten(before);
+  const right = flatten(after);
+  const paths = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+  return paths.reduce((changes, field) => {
+    const from = left[field];
+    const to = right[field];
+    if (isEmpty(from) && isEmpty(to)) return changes;
+    if (!isEmpty(from) && !isEmpty(to) && serialize(from) === serialize(to)) {
+      return changes;
+    }
+
+    let change = "changed";
+    if (isEmpty(from)) change = "added";
+    else if (isEmpty(to)) change = "removed";
+
+    changes.push({ field, change, before: from, after: to });
+    return changes;
+  }, []);
+};
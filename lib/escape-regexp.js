@@ -0,0 +1,6 @@
+// Escapes a value for use as a literal inside a RegExp
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = escapeRegExp;
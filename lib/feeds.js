@@ -0,0 +1,112 @@
+// Syndication formats for the blog. Each builder takes the same feed object:
+//
+//   { title, description, home_url, feed_url, updated,
+//     items: [{ id, url, title, summary, content, author, categories,
+//               published, updated }] }
+//
+// URLs must be absolute and dates are Date objects. `summary` is the excerpt
+// and may be empty; `content` is the full post.
+
+const FORMATS = {
+  "feed.xml": { type: "application/rss+xml", build: rss },
+  "atom.xml": { type: "application/atom+xml", build: atom },
+  "feed.json": { type: "application/feed+json", build: jsonFeed },
+};
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters are not allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function element(name, value, attributes = "") {
+  return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+function rss(feed) {
+  const items = feed.items.map((item) =>
+    [
+      "<item>",
+      element("title", item.title),
+      element("link", item.url),
+      element("guid", item.url, ' isPermaLink="true"'),
+      element("pubDate", item.published.toUTCString()),
+      item.author ? element("dc:creator", item.author) : "",
+      ...item.categories.map((category) => element("category", category)),
+      element("description", item.summary || item.content),
+      "</item>",
+    ].join("")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "<channel>",
+    element("title", feed.title),
+    element("link", feed.home_url),
+    element("description", feed.description),
+    `<atom:link href="${escapeXml(feed.feed_url)}" rel="self" type="application/rss+xml" />`,
+    element("lastBuildDate", feed.updated.toUTCString()),
+    ...items,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+function atom(feed) {
+  const entries = feed.items.map((item) =>
+    [
+      "<entry>",
+      element("title", item.title),
+      `<link href="${escapeXml(item.url)}" />`,
+      element("id", item.url),
+      element("published", item.published.toISOString()),
+      element("updated", item.updated.toISOString()),
+      item.author ? `<author>${element("name", item.author)}</author>` : "",
+      ...item.categories.map((category) => `<category term="${escapeXml(category)}" />`),
+      item.summary ? element("summary", item.summary) : "",
+      element("content", item.content, ' type="html"'),
+      "</entry>",
+    ].join("")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element("title", feed.title),
+    element("subtitle", feed.description),
+    `<link href="${escapeXml(feed.home_url)}" />`,
+    `<link href="${escapeXml(feed.feed_url)}" rel="self" />`,
+    element("id", feed.feed_url),
+    element("updated", feed.updated.toISOString()),
+    ...entries,
+    "</feed>",
+  ].join("\n");
+}
+
+// JSON Feed 1.1, https://www.jsonfeed.org/version/1.1/
+function jsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description || undefined,
+    home_page_url: feed.home_url,
+    feed_url: feed.feed_url,
+    items: feed.items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_html: item.content,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: item.categories.length > 0 ? item.categories : undefined,
+    })),
+  });
+}
+
+module.exports = { FORMATS, rss, atom, jsonFeed, escapeXml };
@@ -0,0 +1,204 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+
+// Pure JS image handling for thumbnails: header parsing for every supported
+// type, decoding and encoding for JPEG and PNG only. Images are plain
+// { width, height, data } objects with RGBA pixel data.
+
+const DECODABLE_TYPES = ["image/jpeg", "image/png"];
+const JPEG_QUALITY = 82;
+// Decoding is synchronous and holds 4 bytes per pixel, so a small file that
+// declares huge dimensions could block the process and exhaust its memory.
+// 25 megapixels is about 100MB of RGBA data.
+const MAX_DECODE_PIXELS = 25 * 1000 * 1000;
+// jpeg-js counts its working buffers against maxMemoryUsageInMB as well as
+// the output: about 22 bytes per pixel for a colour JPEG, more for CMYK
+const JPEG_BYTES_PER_PIXEL = 32;
+const MAX_DECODE_MEMORY_MB = Math.ceil((MAX_DECODE_PIXELS * JPEG_BYTES_PER_PIXEL) / (1024 * 1024));
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15 carry the frame size; C4, C8 and CC are other segments
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(buffer) {
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+}
+
+// Width and height from the file header, without decoding any pixels
+function readDimensions(buffer, mimeType) {
+  switch (mimeType) {
+    case "image/png":
+      return buffer.length >= 24
+        ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        : null;
+    case "image/gif":
+      return buffer.length >= 10
+        ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        : null;
+    case "image/jpeg":
+      return jpegDimensions(buffer);
+    case "image/webp":
+      return webpDimensions(buffer);
+    default:
+      return null;
+  }
+}
+
+function canDecode(mimeType) {
+  return DECODABLE_TYPES.includes(mimeType);
+}
+
+// Throws when the header has no usable size or the image is too large to
+// decode; nothing is decoded at that point
+function checkDecodable(buffer, mimeType) {
+  const dimensions = readDimensions(buffer, mimeType);
+  if (!dimensions || !dimensions.width || !dimensions.height) {
+    throw new Error("Cannot read the image dimensions");
+  }
+  if (dimensions.width * dimensions.height > MAX_DECODE_PIXELS) {
+    throw new Error(
+      `Image is too large to process (${dimensions.width}x${dimensions.height}, ` +
+        `at most ${MAX_DECODE_PIXELS / 1000000} megapixels)`
+    );
+  }
+  return dimensions;
+}
+
+function decode(buffer, mimeType) {
+  checkDecodable(buffer, mimeType);
+  if (mimeType === "image/jpeg") {
+    const image = jpeg.decode(buffer, {
+      formatAsRGBA: true,
+      maxResolutionInMP: MAX_DECODE_PIXELS / 1000000,
+      maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB,
+    });
+    return { width: image.width, height: image.height, data: image.data };
+  }
+  if (mimeType === "image/png") {
+    const image = PNG.sync.read(buffer);
+    return { width: image.width, height: image.height, data: image.data };
+  }
+  throw new Error(`Cannot decode ${mimeType}`);
+}
+
+function encode(image, mimeType) {
+  if (mimeType === "image/jpeg") {
+    return jpeg.encode(image, JPEG_QUALITY).data;
+  }
+  if (mimeType === "image/png") {
+    const png = new PNG({ width: image.width, height: image.height });
+    png.data = image.data;
+    return PNG.sync.write(png);
+  }
+  throw new Error(`Cannot encode ${mimeType}`);
+}
+
+// Downscales to the given width, keeping the aspect ratio. Every target
+// pixel is the average of the block of source pixels it covers.
+function resize(image, width) {
+  const height = Math.max(1, Math.round((image.height * width) / image.width));
+  const data = Buffer.alloc(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = top; sy < bottom; sy++) {
+        let index = (sy * image.width + left) * 4;
+        for (let sx = left; sx < right; sx++) {
+          r += image.data[index];
+          g += image.data[index + 1];
+          b += image.data[index + 2];
+          a += image.data[index + 3];
+          index += 4;
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const target = (y * width + x) * 4;
+      data[target] = Math.round(r / count);
+      data[target + 1] = Math.round(g / count);
+      data[target + 2] = Math.round(b / count);
+      data[target + 3] = Math.round(a / count);
+    }
+  }
+  return { width, height, data };
+}
+
+// Decodes the image once and returns every size narrower than it, encoded
+// in the source format: [{ size, width, height, data }]
+function thumbnails(buffer, mimeType, sizes) {
+  const source = decode(buffer, mimeType);
+  return sizes
+    .filter(({ width }) => width < source.width)
+    .map(({ size, width }) => {
+      const resized = resize(source, width);
+      return { size, width: resized.width, height: resized.height, data: encode(resized, mimeType) };
+    });
+}
+
+// thumbnails() in a worker thread. Decoding a large photo takes seconds of
+// CPU, which would otherwise stall every request the process is serving.
+function thumbnailsInWorker(buffer, mimeType, sizes) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, "thumbnail-worker.js"), {
+      workerData: { buffer, mimeType, sizes },
+    });
+    worker.once("message", ({ error, variants }) => {
+      if (error) return reject(new Error(error));
+      resolve(variants.map((variant) => ({ ...variant, data: Buffer.from(variant.data) })));
+    });
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`Thumbnail worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+module.exports = {
+  MAX_DECODE_PIXELS,
+  readDimensions,
+  checkDecodable,
+  canDecode,
+  decode,
+  encode,
+  resize,
+  thumbnails,
+  thumbnailsInWorker,
+};
@@ -0,0 +1,34 @@
+// IP address truncation for analytics privacy mode. IPv4 addresses lose their
+// last octet (/24), IPv6 addresses keep only the first 48 bits. Anything that
+// is not an IP address is dropped entirely.
+const net = require("net");
+
+function anonymizeIPv4(ip) {
+  return ip.split(".").slice(0, 3).concat("0").join(".");
+}
+
+function expandIPv6(ip) {
+  const [head, tail] = ip.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail !== undefined && tail !== "" ? tail.split(":") : [];
+  const missing = 8 - left.length - right.length;
+  return left.concat(Array(Math.max(missing, 0)).fill("0"), right);
+}
+
+function anonymizeIp(ip) {
+  if (typeof ip !== "string") return "unknown";
+  const version = net.isIP(ip);
+  if (version === 4) return anonymizeIPv4(ip);
+  if (version !== 6) return "unknown";
+
+  // IPv4-mapped addresses, as reported for IPv4 clients on dual-stack sockets
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return "::ffff:" + anonymizeIPv4(mapped[1]);
+
+  const groups = expandIPv6(ip.toLowerCase())
+    .slice(0, 3)
+    .map((group) => parseInt(group, 16).toString(16));
+  return groups.join(":") + "::";
+}
+
+module.exports = anonymizeIp;
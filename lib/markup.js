@@ -0,0 +1,73 @@
+// Turns a content body into HTML that is safe to print unescaped. Markdown is
+// converted first; every format then goes through the same allowlist
+// sanitizer, so editor HTML gets no more trust than hand-written HTML.
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// The editor types a user can pick in settings.editor_preferences
+const FORMATS = ["wysiwyg", "markdown", "html"];
+
+// Bump when the output for the same input changes (sanitizer rules, markdown
+// options) so bodies cached on content documents are rendered again
+const RENDERER_VERSION = 1;
+
+const markdown = new Marked({ gfm: true });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr", "blockquote", "pre", "code",
+    "ul", "ol", "li", "dl", "dt", "dd", "strong", "b", "em", "i", "u", "s", "del", "ins",
+    "sub", "sup", "small", "mark", "abbr", "cite", "q", "kbd", "span", "div",
+    "a", "img", "figure", "figcaption",
+    "table", "thead", "tbody", "tfoot", "tr", "th", "td", "caption",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "srcset", "sizes", "alt", "title", "width", "height", "loading"],
+    abbr: ["title"],
+    ol: ["start"],
+    th: ["colspan", "rowspan", "align"],
+    td: ["colspan", "rowspan", "align"],
+    // Fenced markdown code blocks carry language-xyz
+    code: ["class"],
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: "discard",
+  transformTags: {
+    // Links opening a new tab must not hand window.opener to the target
+    a: (tagName, attribs) =>
+      attribs.target === "_blank"
+        ? { tagName, attribs: { ...attribs, rel: "noopener noreferrer" } }
+        : { tagName, attribs },
+  },
+};
+
+function sanitize(html) {
+  return sanitizeHtml(html || "", SANITIZE_OPTIONS);
+}
+
+// Unknown formats are treated as HTML, the strictest reading of the input
+function render(text, format = "html") {
+  const body = text || "";
+  return sanitize(format === "markdown" ? markdown.parse(body) : body);
+}
+
+// Block-level tags end a word even when there is no whitespace around them
+const BLOCK_END = /<\/(p|div|h[1-6]|li|dt|dd|blockquote|pre|tr|th|td|caption|figcaption)>|<(br|hr)\s*\/?>/gi;
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'" };
+
+// The body as plain text with whitespace collapsed, for counting words and
+// building excerpts
+function toText(text, format = "html") {
+  const html = render(text, format).replace(BLOCK_END, (tag) => tag + " ");
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+module.exports = { FORMATS, RENDERER_VERSION, sanitize, render, toText };
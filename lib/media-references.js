@@ -0,0 +1,34 @@
+// Finds the media library files a content item points to: anything under the
+// media URL in the body, plus the featured and Open Graph images. Absolute
+// URLs are reduced to their path; query strings and fragments are dropped.
+
+const escapeRegExp = require("./escape-regexp");
+
+function findUrls(text, baseUrl) {
+  if (!text) return [];
+  const pattern = new RegExp(
+    `(?:https?://[^/\\s"'<>()]+)?(${escapeRegExp(baseUrl)}/[^\\s"'<>()?#]+)`,
+    "g"
+  );
+  return [...String(text).matchAll(pattern)].map((match) => match[1]);
+}
+
+// Returns [{ url, usage_type }] with usage_type featured_image, og_image or
+// inline (for anything in the body)
+function findMediaReferences(content, baseUrl = "/uploads") {
+  const base = baseUrl.replace(/\/+$/, "");
+  const metadata = content.metadata || {};
+  const references = [];
+  const add = (url, usageType) => {
+    if (!references.some((ref) => ref.url === url && ref.usage_type === usageType)) {
+      references.push({ url, usage_type: usageType });
+    }
+  };
+
+  findUrls(content.content, base).forEach((url) => add(url, "inline"));
+  findUrls(metadata.featured_image, base).forEach((url) => add(url, "featured_image"));
+  findUrls(metadata.og_image, base).forEach((url) => add(url, "og_image"));
+  return references;
+}
+
+module.exports = findMediaReferences;
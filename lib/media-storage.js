@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PROJECT_ROOT = path.join(__dirname, "..");
+const FOLDER_SEGMENT = /^[a-z0-9_-]+$/;
+
+// Folders are lowercase path segments; anything else (including "..") is
+// rejected so a folder can never point outside the media root.
+function normalizeFolder(folder) {
+  const value = String(folder || "uploads").trim().toLowerCase().replace(/^\/+|\/+$/g, "");
+  const segments = value.split("/");
+  if (!segments.every((segment) => FOLDER_SEGMENT.test(segment))) {
+    throw Object.assign(new Error(`Invalid folder: ${folder}`), { code: "INVALID_FOLDER" });
+  }
+  return segments.join("/");
+}
+
+// Files on disk under a configurable root, addressed by their path relative
+// to it. That relative path is what Media.file_path stores.
+class MediaStorage {
+  constructor(options = {}) {
+    this.root = path.resolve(PROJECT_ROOT, options.root || "public/uploads");
+    this.url = (options.url || "/uploads").replace(/\/+$/, "");
+  }
+  // Writes the buffer under a random name and returns where it ended up
+  async save(buffer, { folder, extension }) {
+    const dir = normalizeFolder(folder);
+    const filename = `${crypto.randomBytes(16).toString("hex")}.${extension}`;
+    const filePath = `${dir}/${filename}`;
+    await this.write(filePath, buffer);
+    return { filename, file_path: filePath, url: this.urlFor(filePath) };
+  }
+  // Writes a file at a known path, refusing to overwrite an existing one
+  async write(filePath, buffer) {
+    const absolute = this.resolve(filePath);
+    await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+    await fs.promises.writeFile(absolute, buffer, { flag: "wx" });
+  }
+  read(filePath) {
+    return fs.promises.readFile(this.resolve(filePath));
+  }
+  async remove(filePath) {
+    try {
+      await fs.promises.unlink(this.resolve(filePath));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  resolve(filePath) {
+    const absolute = path.resolve(this.root, filePath);
+    if (!absolute.startsWith(this.root + path.sep)) {
+      throw new Error(`Path outside the media root: ${filePath}`);
+    }
+    return absolute;
+  }
+  urlFor(filePath) {
+    return `${this.url}/${filePath}`;
+  }
+}
+
+module.exports = { MediaStorage, normalizeFolder };
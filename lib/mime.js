@@ -0,0 +1,42 @@
+// Identifies uploads by their leading bytes, since the browser-supplied
+// Content-Type and file extension are whatever the client says they are.
+
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// Returns the detected mime type, or null when the content is not recognised
+function sniffMimeType(buffer) {
+  if (!buffer) return null;
+  // WebP: "RIFF" <size> "WEBP"
+  if (
+    startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) &&
+    startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)
+  ) {
+    return "image/webp";
+  }
+  const match = SIGNATURES.find((signature) => startsWith(buffer, signature.bytes));
+  return match ? match.type : null;
+}
+
+function extensionFor(mimeType) {
+  return EXTENSIONS[mimeType] || null;
+}
+
+module.exports = { sniffMimeType, extensionFor };
@@ -0,0 +1,98 @@
+// Role-based permission matrix. Each role inherits everything from the role
+// below it; User.permissions can grant extra individual permissions on top.
+
+const CONTRIBUTOR = ["content.create", "content.edit_own_draft", "content.delete_own_draft"];
+
+const AUTHOR = [...CONTRIBUTOR, "content.edit_own", "content.publish_own", "content.delete_own", "media.upload"];
+
+const EDITOR = [
+  ...AUTHOR,
+  "content.view_any",
+  "content.edit_any",
+  "content.publish_any",
+  "content.delete_any",
+  "comments.moderate",
+  "media.manage",
+];
+
+const ADMIN = [...EDITOR, "users.manage", "settings.manage", "analytics.view"];
+
+const ROLE_PERMISSIONS = {
+  contributor: CONTRIBUTOR,
+  author: AUTHOR,
+  editor: EDITOR,
+  admin: ADMIN,
+  super_admin: ["*"],
+};
+
+const PUBLISHING_STATUSES = ["published", "scheduled"];
+
+function permissionsFor(user) {
+  if (!user) return new Set();
+  return new Set([...(ROLE_PERMISSIONS[user.role] || []), ...(user.permissions || [])]);
+}
+
+function can(user, permission) {
+  const permissions = permissionsFor(user);
+  return permissions.has("*") || permissions.has(permission);
+}
+
+function isOwner(user, content) {
+  return !!(user && content && content.author && content.author.id === user.ID);
+}
+
+function canViewContent(user, content) {
+  if (content.status === "published" && content.visibility === "public") return true;
+  return can(user, "content.view_any") || isOwner(user, content);
+}
+
+function canEditContent(user, content) {
+  if (can(user, "content.edit_any")) return true;
+  if (!isOwner(user, content)) return false;
+  return can(user, "content.edit_own") || (can(user, "content.edit_own_draft") && content.status === "draft");
+}
+
+function canPublishContent(user, content) {
+  if (can(user, "content.publish_any")) return true;
+  return isOwner(user, content) && can(user, "content.publish_own");
+}
+
+function canDeleteContent(user, content) {
+  if (can(user, "content.delete_any")) return true;
+  if (!isOwner(user, content)) return false;
+  return can(user, "content.delete_own") || (can(user, "content.delete_own_draft") && content.status === "draft");
+}
+
+// Moving content into a publishing status needs publish rights on top of edit rights
+function canChangeStatus(user, content, status) {
+  if (!status || status === content.status || !PUBLISHING_STATUSES.includes(status)) {
+    return true;
+  }
+  return canPublishContent(user, content);
+}
+
+// Uploaders look after their own files; media.manage covers everyone's
+function canManageMedia(user, media) {
+  if (can(user, "media.manage")) return true;
+  return !!(user && media && media.uploaded_by === user.ID) && can(user, "media.upload");
+}
+
+// Highest Settings access_level the user may see and edit
+function settingsAccessLevel(user) {
+  if (user && user.role === "super_admin") return "super_admin";
+  return can(user, "settings.manage") ? "admin" : "public";
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  can,
+  isOwner,
+  canViewContent,
+  canEditContent,
+  canPublishContent,
+  canDeleteContent,
+  canChangeStatus,
+  canManageMedia,
+  settingsAccessLevel,
+};
@@ -0,0 +1,105 @@
+// Classifies where a visit came from, in the terms of the Analytics referrer
+// schema: direct, organic, social, email, paid or referral. UTM parameters
+// on the landing URL win over the referrer itself.
+
+const SEARCH_ENGINES = [
+  { pattern: /(^|\.)google\.[a-z.]+$/, query: "q" },
+  { pattern: /(^|\.)bing\.com$/, query: "q" },
+  { pattern: /(^|\.)duckduckgo\.com$/, query: "q" },
+  { pattern: /(^|\.)search\.yahoo\.com$/, query: "p" },
+  { pattern: /(^|\.)yandex\.[a-z.]+$/, query: "text" },
+  { pattern: /(^|\.)baidu\.com$/, query: "wd" },
+  { pattern: /(^|\.)ecosia\.org$/, query: "q" },
+  { pattern: /(^|\.)search\.brave\.com$/, query: "q" },
+];
+
+const SOCIAL_NETWORKS = [
+  /(^|\.)facebook\.com$/,
+  /(^|\.)fb\.me$/,
+  /(^|\.)instagram\.com$/,
+  /(^|\.)twitter\.com$/,
+  /(^|\.)x\.com$/,
+  /^t\.co$/,
+  /(^|\.)linkedin\.com$/,
+  /^lnkd\.in$/,
+  /(^|\.)reddit\.com$/,
+  /(^|\.)pinterest\.[a-z.]+$/,
+  /(^|\.)youtube\.com$/,
+  /(^|\.)tiktok\.com$/,
+  /(^|\.)threads\.net$/,
+  /(^|\.)bsky\.app$/,
+];
+
+const WEBMAIL = [/^mail\.google\.com$/, /^outlook\.(live|office)\.com$/, /^mail\.yahoo\.com$/];
+
+const PAID_MEDIUMS = ["cpc", "ppc", "paid", "paidsearch", "paid_search", "cpm", "display", "paid_social"];
+const EMAIL_MEDIUMS = ["email", "e-mail", "newsletter"];
+const SOCIAL_MEDIUMS = ["social", "social-network", "social_network", "sm"];
+
+function parseUrl(value, base) {
+  try {
+    return value ? new URL(value, base) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sourceFromMedium(medium) {
+  if (PAID_MEDIUMS.includes(medium)) return "paid";
+  if (EMAIL_MEDIUMS.includes(medium)) return "email";
+  if (SOCIAL_MEDIUMS.includes(medium)) return "social";
+  if (medium === "organic") return "organic";
+  return null;
+}
+
+// referrerUrl is document.referrer, pageUrl the landing page and host our
+// own host name (internal navigation counts as direct)
+function classifyReferrer(referrerUrl, pageUrl, host) {
+  const page = parseUrl(pageUrl, `http://${host || "localhost"}`);
+  const params = page ? page.searchParams : new URLSearchParams();
+  const referrer = parseUrl(referrerUrl);
+  const domain = referrer ? referrer.hostname.replace(/^www\./, "") : undefined;
+  const external = !!(referrer && referrer.hostname !== host && /^https?:$/.test(referrer.protocol));
+
+  const result = {
+    url: external ? referrer.origin + referrer.pathname : undefined,
+    domain: external ? domain : undefined,
+    source: "direct",
+    campaign: params.get("utm_campaign") || undefined,
+    medium: params.get("utm_medium") || undefined,
+    term: params.get("utm_term") || undefined,
+    content: params.get("utm_content") || undefined,
+  };
+
+  const tagged = result.medium && sourceFromMedium(result.medium.toLowerCase());
+  if (tagged) {
+    result.source = tagged;
+  } else if (params.has("gclid") || params.has("msclkid")) {
+    result.source = "paid";
+  } else if (external) {
+    // Webmail first: mail.google.com would otherwise pass for a search engine
+    const engine = SEARCH_ENGINES.find((candidate) => candidate.pattern.test(domain));
+    if (WEBMAIL.some((pattern) => pattern.test(referrer.hostname))) {
+      result.source = "email";
+    } else if (engine) {
+      result.source = "organic";
+      result.term = result.term || referrer.searchParams.get(engine.query) || undefined;
+    } else if (SOCIAL_NETWORKS.some((pattern) => pattern.test(domain))) {
+      result.source = "social";
+    } else {
+      result.source = "referral";
+    }
+  } else if (params.get("utm_source")) {
+    // Tagged links without a known medium, e.g. from apps that send no referrer
+    result.source = "referral";
+  }
+
+  // The schema has no utm_source field; it stands in for the domain when
+  // the browser sent no referrer
+  if (!result.domain && params.get("utm_source")) {
+    result.domain = params.get("utm_source");
+  }
+  return result;
+}
+
+module.exports = classifyReferrer;
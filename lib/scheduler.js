@@ -0,0 +1,52 @@
+const os = require("os");
+const crypto = require("crypto");
+const { Locks } = require("../models/schemas");
+
+// Runs registered jobs on an interval. Every run first claims a lock document
+// named after the job, held for the whole interval, so when several app
+// instances share a database each job runs once per interval in total.
+module.exports = class Scheduler {
+  constructor(owner) {
+    this.owner =
+      owner ||
+      `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+    this.jobs = [];
+    this.timers = [];
+  }
+  register(name, intervalSeconds, task) {
+    this.jobs.push({ name, intervalSeconds, task, running: false });
+    return this;
+  }
+  start() {
+    this.stop();
+    this.jobs.forEach((job) => {
+      const timer = setInterval(() => this.run(job), job.intervalSeconds * 1000);
+      timer.unref();
+      this.timers.push(timer);
+      this.run(job);
+    });
+    return this;
+  }
+  stop() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+  }
+  async run(job) {
+    if (job.running) return null;
+    job.running = true;
+    try {
+      const claimed = await Locks.acquire(
+        `job:${job.name}`,
+        this.owner,
+        job.intervalSeconds
+      );
+      if (!claimed) return null;
+      return await job.task();
+    } catch (error) {
+      console.error(`Scheduled job "${job.name}" failed:`, error.message);
+      return null;
+    } finally {
+      job.running = false;
+    }
+  }
+};
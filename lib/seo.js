@@ -0,0 +1,120 @@
+// Data for the head_meta partial: title, description, canonical URL, robots,
+// OpenGraph / Twitter card fields and a JSON-LD document. Content items use
+// their metadata (seo_title, seo_description, og_image, ...) and fall back to
+// the site settings exposed as res.locals.site.
+
+// Text that ends up inside <script type="application/ld+json">: "<" is
+// escaped so a value can never close the script element, and so are the two
+// line separators JavaScript parsers choke on
+function jsonLd(data) {
+  return JSON.stringify(data)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+function absolute(url, origin) {
+  if (!url) return "";
+  try {
+    return new URL(url, origin).href;
+  } catch (error) {
+    return "";
+  }
+}
+
+// schema_markup may be stored as an object or as a JSON string; anything
+// that doesn't parse to an object is ignored and the JSON-LD is built instead
+function customMarkup(markup) {
+  let value = markup;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return value && typeof value === "object" ? value : null;
+}
+
+// Fields that are derived the same way for every page
+function withDefaults(seo, site) {
+  return {
+    ...seo,
+    site_name: site.title || "",
+    twitter_card: seo.image ? "summary_large_image" : "summary",
+  };
+}
+
+// Listings and other pages that are not a content item
+function pageSeo(page, { site = {}, origin }) {
+  const canonical = absolute(page.path, origin);
+  const description = page.description || site.meta_description || "";
+  const title = page.title || site.title || "";
+  return withDefaults(
+    {
+      title,
+      description,
+      canonical,
+      robots: page.robots || "",
+      og_type: "website",
+      image: absolute(page.image, origin),
+      json_ld: jsonLd({
+        "@context": "https://schema.org",
+        "@type": "WebPage",
+        name: title,
+        description: description || undefined,
+        url: canonical,
+      }),
+    },
+    site
+  );
+}
+
+function contentSeo(content, { site = {}, origin }) {
+  const metadata = content.metadata || {};
+  const timestamps = content.timestamps || {};
+  const isArticle = content.type === "blog";
+  const title = metadata.seo_title || content.title;
+  const description = metadata.seo_description || content.excerpt || site.meta_description || "";
+  const canonical = absolute(metadata.canonical_url || content.url, origin);
+  const image = absolute(metadata.og_image || metadata.featured_image, origin);
+  const published = timestamps.published_at && new Date(timestamps.published_at).toISOString();
+  const modified = timestamps.updated_at && new Date(timestamps.updated_at).toISOString();
+  const keywords = metadata.seo_keywords || [];
+
+  const markup = customMarkup(metadata.schema_markup) || {
+    "@context": "https://schema.org",
+    "@type": isArticle ? "Article" : "WebPage",
+    [isArticle ? "headline" : "name"]: title,
+    description: description || undefined,
+    url: canonical,
+    image: image || undefined,
+    datePublished: published,
+    dateModified: modified,
+    author: isArticle && content.author ? { "@type": "Person", name: content.author.name } : undefined,
+    publisher: site.title ? { "@type": "Organization", name: site.title } : undefined,
+    keywords: keywords.length > 0 ? keywords.join(", ") : undefined,
+  };
+
+  return withDefaults(
+    {
+      title,
+      description,
+      keywords: keywords.join(", "),
+      canonical,
+      // Drafts and private items are only ever seen as previews
+      robots:
+        metadata.robots ||
+        (content.status !== "published" || content.visibility !== "public" ? "noindex, nofollow" : ""),
+      og_type: isArticle ? "article" : "website",
+      image,
+      published_time: isArticle ? published : undefined,
+      modified_time: isArticle ? modified : undefined,
+      tags: isArticle ? content.tags || [] : [],
+      json_ld: jsonLd(markup),
+    },
+    site
+  );
+}
+
+module.exports = { pageSeo, contentSeo, jsonLd };
@@ -0,0 +1,107 @@
+// Form fields for /admin/settings, generated from the metadata on Settings
+// documents, and the way back from submitted strings to typed values.
+
+const LONG_TEXT_LENGTH = 255;
+
+function fieldName(key) {
+  return "setting_" + key;
+}
+
+function formatValue(setting, value) {
+  if (value === undefined || value === null) return "";
+  if (setting.type === "object" || setting.type === "array") {
+    return JSON.stringify(value, null, 2);
+  }
+  return String(value);
+}
+
+// Strings that may run past a line get a textarea
+function isLongText(validation) {
+  return validation.max_length > LONG_TEXT_LENGTH;
+}
+
+// `input` is what the user submitted last time, if the form is shown again
+// after a validation error
+function toField(setting, input, error) {
+  const validation = setting.validation || {};
+  const options = validation.options || [];
+  const value = input !== undefined ? input : formatValue(setting, setting.value);
+  const type = setting.type;
+  return {
+    key: setting.key,
+    name: fieldName(setting.key),
+    label: setting.label,
+    description: setting.description,
+    value,
+    error,
+    required: !!validation.required,
+    min_length: validation.min_length,
+    max_length: validation.max_length,
+    pattern: validation.pattern,
+    readonly: setting.editable === false,
+    isBoolean: type === "boolean",
+    checked: type === "boolean" && (input !== undefined ? input === "true" : setting.value === true),
+    isNumber: type === "number",
+    isSelect: type === "string" && options.length > 0,
+    options: options.map((option) => ({
+      value: String(option),
+      selected: String(option) === value,
+    })),
+    isJson: type === "object" || type === "array",
+    isText: type === "string" && options.length === 0 && !isLongText(validation),
+    isLongText: type === "string" && options.length === 0 && isLongText(validation),
+  };
+}
+
+// Returns { value } or { error }. Unchecked checkboxes are not submitted,
+// so a missing boolean means false.
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case "boolean":
+      return { value: raw === "true" };
+    case "number": {
+      const text = (raw || "").trim();
+      if (text === "") return { value: null };
+      const number = Number(text);
+      return Number.isFinite(number) ? { value: number } : { error: "Please enter a number" };
+    }
+    case "object":
+    case "array": {
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        return { error: "Please enter valid JSON" };
+      }
+      const isArray = Array.isArray(value);
+      if (setting.type === "array" ? !isArray : isArray || !value || typeof value !== "object") {
+        return { error: `Please enter a JSON ${setting.type}` };
+      }
+      return { value };
+    }
+    default:
+      return { value: raw === undefined ? "" : String(raw) };
+  }
+}
+
+// Settings import files: an export bundle ({ settings: [...] }) or a bare
+// array as returned by SettingsModel.exportSettings. Returns { settings } or
+// { error }.
+function parseBundle(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: "The file is not valid JSON" };
+  }
+  const settings = Array.isArray(data) ? data : data && data.settings;
+  if (
+    !Array.isArray(settings) ||
+    settings.some((entry) => !entry || typeof entry !== "object" || Array.isArray(entry))
+  ) {
+    return { error: "The file is not a settings export" };
+  }
+  return { settings };
+}
+
+module.exports = { fieldName, toField, parseValue, parseBundle };
@@ -0,0 +1,33 @@
+// sitemaps.org XML for /sitemap.xml. A single sitemap may list at most
+// URLS_PER_SITEMAP URLs; beyond that the site publishes a sitemap index
+// pointing at numbered sitemaps.
+const { escapeXml } = require("./feeds");
+
+const URLS_PER_SITEMAP = 50000;
+
+// entries: [{ loc, lastmod }] with absolute URLs; lastmod is an optional Date
+function urlset(entries) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries.map(
+      (entry) =>
+        `<url><loc>${escapeXml(entry.loc)}</loc>` +
+        (entry.lastmod ? `<lastmod>${entry.lastmod.toISOString()}</lastmod>` : "") +
+        "</url>"
+    ),
+    "</urlset>",
+  ].join("\n");
+}
+
+// sitemaps: absolute URLs of the numbered sitemaps
+function sitemapIndex(sitemaps) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map((loc) => `<sitemap><loc>${escapeXml(loc)}</loc></sitemap>`),
+    "</sitemapindex>",
+  ].join("\n");
+}
+
+module.exports = { URLS_PER_SITEMAP, urlset, sitemapIndex };
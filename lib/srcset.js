@@ -0,0 +1,17 @@
+// Builds a srcset attribute value from an image's thumbnail variants plus the
+// original, e.g. "/uploads/a-small.jpg 320w, /uploads/a.jpg 1200w". Returns an
+// empty string when there are no variants to choose from. Registered as the
+// `srcset` template helper.
+module.exports = function srcset(image) {
+  if (!image || !image.thumbnails || image.thumbnails.length === 0) return "";
+
+  const candidates = image.thumbnails.map(({ url, width }) => ({ url, width }));
+  if (image.width) {
+    candidates.push({ url: image.url, width: image.width });
+  }
+  return candidates
+    .filter((candidate) => candidate.url && candidate.width)
+    .sort((a, b) => a.width - b.width)
+    .map((candidate) => `${candidate.url} ${candidate.width}w`)
+    .join(", ");
+};
@@ -0,0 +1,10 @@
+// Worker thread body for image.thumbnailsInWorker
+const { parentPort, workerData } = require("worker_threads");
+const image = require("./image");
+
+const { buffer, mimeType, sizes } = workerData;
+try {
+  parentPort.postMessage({ variants: image.thumbnails(Buffer.from(buffer), mimeType, sizes) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
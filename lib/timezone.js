@@ -0,0 +1,66 @@
+// Schedule dates are stored as real instants. The admin form edits them as
+// wall-clock times in schedule.timezone, represented as a Date whose UTC
+// fields hold the local time; these helpers convert between the two.
+
+// Intl falls back to the default zone when timeZone is undefined, so
+// anything but a non-empty string is rejected first
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+function getOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+function zonedTimeToUtc(wallClock, timeZone = "UTC") {
+  if (!wallClock) return null;
+  if (!timeZone || timeZone === "UTC" || !isValidTimeZone(timeZone)) {
+    return new Date(wallClock.getTime());
+  }
+
+  // Guess with the offset at the wall-clock time, then correct once for DST edges
+  const guess = new Date(wallClock.getTime() - getOffset(wallClock, timeZone));
+  const offset = getOffset(guess, timeZone);
+  return new Date(wallClock.getTime() - offset);
+}
+
+function utcToZonedTime(date, timeZone = "UTC") {
+  if (!date) return null;
+  if (!timeZone || timeZone === "UTC" || !isValidTimeZone(timeZone)) {
+    return new Date(date.getTime());
+  }
+  return new Date(date.getTime() + getOffset(date, timeZone));
+}
+
+module.exports = { isValidTimeZone, getOffset, zonedTimeToUtc, utcToZonedTime };
@@ -0,0 +1,60 @@
+// Minimal user agent parsing: enough to classify sessions and analytics hits
+// without pulling in a full UA database.
+
+const BROWSERS = [
+  { name: "Edge", pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: "Opera", pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: "Samsung Internet", pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: "Firefox", pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: "Chrome", pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: "Safari", pattern: /Version\/([\d.]+).*Safari\// },
+  { name: "Internet Explorer", pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: "Windows", pattern: /Windows NT ([\d.]+)/ },
+  { name: "iOS", pattern: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+  { name: "Android", pattern: /Android ([\d.]+)/ },
+  { name: "Chrome OS", pattern: /CrOS [\w]+ ([\d.]+)/ },
+  { name: "macOS", pattern: /Mac OS X ([\d_.]+)/ },
+  { name: "Linux", pattern: /Linux/ },
+];
+
+const BOT_PATTERN = /bot|crawler|spider|crawling|slurp|facebookexternalhit|preview/i;
+
+function matchFirst(candidates, userAgent) {
+  for (const candidate of candidates) {
+    const match = userAgent.match(candidate.pattern);
+    if (match) {
+      return {
+        name: candidate.name,
+        version: match[1] ? match[1].replace(/_/g, ".") : undefined,
+      };
+    }
+  }
+  return { name: undefined, version: undefined };
+}
+
+function detectDeviceType(userAgent) {
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent)) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|iPod|Android.*Mobile|Windows Phone|BlackBerry/i.test(userAgent)) {
+    return "mobile";
+  }
+  return "desktop";
+}
+
+module.exports = function parseUserAgent(userAgent = "") {
+  const browser = matchFirst(BROWSERS, userAgent);
+  const os = matchFirst(OPERATING_SYSTEMS, userAgent);
+
+  return {
+    browser: browser.name,
+    browser_version: browser.version,
+    os: os.name,
+    os_version: os.version,
+    device_type: detectDeviceType(userAgent),
+    is_bot: BOT_PATTERN.test(userAgent),
+  };
+};
@@ -0,0 +1,36 @@
+const createError = require("http-errors");
+const { can } = require("../lib/permissions");
+const { failure } = require("../routes/api/response");
+
+function isApiRequest(req) {
+  return req.originalUrl.startsWith("/api/");
+}
+
+function deny(req, res, next, status) {
+  if (isApiRequest(req)) {
+    return status === 401
+      ? failure(res, 401, "UNAUTHORIZED", "Authentication required")
+      : failure(res, 403, "FORBIDDEN", "Insufficient permissions");
+  }
+  if (status === 401) {
+    return res.redirect("/admin");
+  }
+  next(createError(403, "Insufficient permissions"));
+}
+
+function requireLogin(req, res, next) {
+  if (req.session && req.session.user) return next();
+  deny(req, res, next, 401);
+}
+
+// Passes when the signed-in user holds at least one of the given permissions
+function requirePermission(...permissions) {
+  return function (req, res, next) {
+    const user = req.session && req.session.user;
+    if (!user) return deny(req, res, next, 401);
+    if (permissions.some((permission) => can(user, permission))) return next();
+    deny(req, res, next, 403);
+  };
+}
+
+module.exports = { requireLogin, requirePermission };
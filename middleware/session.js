@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const { Sessions, User } = require("../models/schemas");
+const parseUserAgent = require("../lib/user-agent");
+
+// Session data lives on req.session as plain properties; these helpers are
+// attached as non-enumerable methods so they never end up in the stored data.
+function attachMethods(session, req, res, options) {
+  let record = null;
+
+  const define = (name, value) =>
+    Object.defineProperty(session, name, { value, enumerable: false, writable: true });
+
+  const setCookie = (sessionId) => {
+    res.cookie(options.cookie_name, sessionId, {
+      signed: true,
+      httpOnly: true,
+      sameSite: "lax",
+      secure: options.secure,
+      maxAge: options.max_age * 1000,
+    });
+  };
+
+  const data = () => ({ ...session });
+
+  define("load", (doc) => {
+    record = doc;
+    Object.assign(session, doc.data || {});
+  });
+
+  define("refresh", async () => {
+    const idle = Date.now() - record.last_accessed.getTime();
+    if (idle >= options.touch_interval * 1000) {
+      await record.extend(options.max_age);
+    }
+    setCookie(record.session_id);
+  });
+
+  // Only signed-in users get a stored session: the collection requires a user_id
+  define("save", async (callback) => {
+    try {
+      if (!session.user) {
+        if (record) await session.destroy();
+      } else if (!record) {
+        const userAgent = req.get("user-agent") || "unknown";
+        const { browser, os, device_type } = parseUserAgent(userAgent);
+        record = await Sessions.createSession({
+          session_id: crypto.randomBytes(32).toString("hex"),
+          user_id: session.user.ID,
+          ip_address: req.ip || "unknown",
+          user_agent: userAgent,
+          device_info: { browser, os, device_type },
+          expires_in: options.max_age,
+        });
+        await record.updateData(data());
+        setCookie(record.session_id);
+      } else {
+        record.data = data();
+        record.markModified("data");
+        record.last_accessed = new Date();
+        await record.save();
+      }
+      if (callback) callback(null);
+    } catch (error) {
+      if (!callback) throw error;
+      callback(error);
+    }
+  });
+
+  define("destroy", async (callback) => {
+    try {
+      Object.keys(session).forEach((key) => delete session[key]);
+      if (record) {
+        await record.destroy();
+        record = null;
+      }
+      res.clearCookie(options.cookie_name);
+      if (callback) callback(null);
+    } catch (error) {
+      if (!callback) throw error;
+      callback(error);
+    }
+  });
+}
+
+// The session keeps a copy of the user's role and permissions from sign-in.
+// Both can change, and accounts can be deactivated, while a session is open,
+// so the copy is checked against the account whenever a session is loaded.
+// Returns false when the account may no longer be signed in.
+async function syncUser(session) {
+  if (!session.user) return true;
+  const user = await User.findOne({ ID: session.user.ID })
+    .select("ID username email role permissions status profile")
+    .lean();
+  if (!user || user.status !== "active") return false;
+  Object.assign(session.user, {
+    username: user.username,
+    name: (user.profile && user.profile.display_name) || user.username,
+    email: user.email,
+    role: user.role,
+    permissions: user.permissions || [],
+  });
+  return true;
+}
+
+module.exports = function session(options) {
+  if (!options || !options.secret) {
+    throw new Error("Session secret is not configured");
+  }
+
+  return async function (req, res, next) {
+    req.session = {};
+    attachMethods(req.session, req, res, options);
+
+    const sessionId = req.signedCookies && req.signedCookies[options.cookie_name];
+    if (!sessionId) return next();
+
+    try {
+      const doc = await Sessions.findBySessionId(sessionId);
+      if (doc) {
+        req.session.load(doc);
+        if (await syncUser(req.session)) {
+          await req.session.refresh();
+        } else {
+          await req.session.destroy();
+        }
+      } else {
+        res.clearCookie(options.cookie_name);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,24 @@
+const { Settings } = require("../models");
+
+// Public settings for every template: res.locals.settings holds them by key
+// and res.locals.site the values the layouts use. The settings model caches
+// them, so this is a database round trip only when the cache is cold.
+function siteSettings(model = Settings) {
+  return function (req, res, next) {
+    model
+      .getPublicSettings()
+      .then((settings) => {
+        res.locals.settings = settings;
+        res.locals.site = {
+          title: settings.site_title || "",
+          description: settings.site_description || "",
+          meta_description: settings.default_meta_description || settings.site_description || "",
+          year: new Date().getFullYear(),
+        };
+        next();
+      })
+      .catch(next);
+  };
+}
+
+module.exports = siteSettings;
@@ -0,0 +1,33 @@
+const createError = require("http-errors");
+const multer = require("multer");
+
+const LIMIT_ERRORS = {
+  LIMIT_FILE_SIZE: [413, "FILE_TOO_LARGE", "File is too large"],
+  LIMIT_FILE_COUNT: [400, "TOO_MANY_FILES", "Too many files"],
+  LIMIT_UNEXPECTED_FILE: [400, "UNEXPECTED_FILE", "Unexpected file field"],
+};
+
+// Multipart parsing for the given file fields. Files are kept in memory
+// (bounded by max_file_size) so their contents can be checked before anything
+// touches the disk; the media model stores them. Parse errors become
+// http-errors with a `code` for the API error format.
+function upload(options, fields) {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: options.max_file_size,
+      files: options.max_files,
+    },
+  }).fields(fields);
+
+  return function (req, res, next) {
+    if (!req.is("multipart/form-data")) return next();
+    parse(req, res, (err) => {
+      if (!err) return next();
+      const [status, code, message] = LIMIT_ERRORS[err.code] || [400, "INVALID_UPLOAD", err.message];
+      next(createError(status, message, { code }));
+    });
+  };
+}
+
+module.exports = upload;
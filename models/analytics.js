@@ -0,0 +1,486 @@
+const Base = require("./base");
+const { Analytics, AnalyticsRollups, Content } = require("./schemas");
+const SettingsModel = require('./settings');
+const parseUserAgent = require('../lib/user-agent');
+const classifyReferrer = require('../lib/referrer');
+const { DAY_MS, eachDay, formatDay } = require('../lib/date-range');
+const anonymizeIp = require('../lib/ip');
+
+const settings = new SettingsModel();
+
+// Event types come from the schema. The tracking script also sends
+// "engagement" entries, which update an earlier page view instead.
+const EVENT_TYPES = Analytics.schema.path('event_type').enumValues;
+const MAX_BATCH_SIZE = 25;
+const MAX_STRING_LENGTH = 500;
+const MAX_DATA_KEYS = 10;
+// Closed days without a rollup that one stats request counts from the raw
+// events; each takes four aggregations
+const MAX_UNROLLED_DAYS = 7;
+
+const SESSION_ID = /^[a-z0-9]{16,64}$/i;
+const VIEW_ID = /^[a-z0-9]{8,64}$/i;
+const CONTENT_ID = /^[a-f0-9]{1,64}$/;
+const DIMENSIONS = /^\d{1,5}x\d{1,5}$/;
+
+// Used for any privacy setting that is missing from the settings collection
+const PRIVACY_DEFAULTS = {
+  anonymize_ip: true,
+  respect_dnt: true,
+  anonymize_after_days: 30,
+  retention_days: 365
+};
+
+function text(value, maxLength = MAX_STRING_LENGTH) {
+  return typeof value === 'string' && value.length > 0 ? value.slice(0, maxLength) : undefined;
+}
+
+function number(value, min, max) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : undefined;
+}
+
+function matching(value, pattern) {
+  return typeof value === 'string' && pattern.test(value) ? value : undefined;
+}
+
+// Free-form event data: a flat object of a few short primitive values
+function eventData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return undefined;
+  const result = {};
+  Object.keys(data).slice(0, MAX_DATA_KEYS).forEach(key => {
+    const value = data[key];
+    if (typeof value === 'string') result[key.slice(0, 50)] = value.slice(0, 200);
+    else if (typeof value === 'number' || typeof value === 'boolean') result[key.slice(0, 50)] = value;
+  });
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+function pagePath(url, host) {
+  try {
+    return new URL(url, `http://${host || 'localhost'}`).pathname;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The days from `from` up to, not including, `to` (both YYYY-MM-DD)
+function daysBetween(from, to) {
+  return eachDay({
+    start: new Date(`${from}T00:00:00Z`),
+    end: new Date(new Date(`${to}T00:00:00Z`).getTime() - DAY_MS)
+  });
+}
+
+function round(value, places = 0) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Adds up rollup rows (see schemas/AnalyticsRollups) into dashboard figures.
+// Visitors are counted per day, so a session that spans midnight counts twice.
+function summarize(rows, range) {
+  const totals = { views: 0, visitors: 0, bounces: 0, total_duration: 0, timed: 0 };
+  const groups = { page: {}, source: {}, device: {}, content: {} };
+  const byDay = {};
+  const add = (target, row) => {
+    Object.keys(totals).forEach(counter => {
+      target[counter] = (target[counter] || 0) + (row[counter] || 0);
+    });
+    return target;
+  };
+
+  rows.forEach(row => {
+    if (row.dimension === 'site') {
+      add(totals, row);
+      byDay[row.date] = row;
+      return;
+    }
+    const group = groups[row.dimension];
+    if (!group) return;
+    group[row.key] = add(group[row.key] || { key: row.key }, row);
+    if (row.dimension === 'page' && row.content_id) {
+      groups.content[row.content_id] = add(groups.content[row.content_id] || { key: row.content_id }, row);
+    }
+  });
+  const sorted = (group, field) => Object.values(group).sort((a, b) => b[field] - a[field]);
+
+  return {
+    range: { from: range.from, to: range.to },
+    page_views: totals.views,
+    unique_visitors: totals.visitors,
+    bounce_rate: totals.visitors > 0 ? round((totals.bounces / totals.visitors) * 100, 1) : 0,
+    average_session_duration: totals.timed > 0 ? round(totals.total_duration / totals.timed) : 0,
+    daily: eachDay(range).map(date => ({
+      date,
+      views: byDay[date] ? byDay[date].views : 0,
+      visitors: byDay[date] ? byDay[date].visitors : 0
+    })),
+    top_pages: sorted(groups.page, 'views').slice(0, 10).map(page => ({
+      page_url: page.key,
+      views: page.views,
+      unique_visitors: page.visitors
+    })),
+    traffic_sources: sorted(groups.source, 'visitors').map(source => ({
+      source: source.key,
+      sessions: source.visitors,
+      pageviews: source.views
+    })),
+    devices: sorted(groups.device, 'visitors').map(device => ({
+      device_type: device.key,
+      sessions: device.visitors,
+      pageviews: device.views
+    })),
+    popular_content: sorted(groups.content, 'views').slice(0, 10).map(content => ({
+      content_id: content.key,
+      title: null,
+      url: null,
+      views: content.views,
+      unique_visitors: content.visitors,
+      avg_duration: content.timed > 0 ? round(content.total_duration / content.timed, 2) : 0
+    }))
+  };
+}
+
+module.exports = class AnalyticsModel extends Base {
+  constructor() {
+    super(Analytics);
+  }
+
+  // Turns one event from the tracking script into an Analytics document.
+  // The context describes the request: ip, user_agent, session_id, user_id,
+  // host and received_at. Returns null for events that cannot be stored.
+  buildEvent(event, context) {
+    if (!event || !EVENT_TYPES.includes(event.type)) return null;
+    const pageUrl = pagePath(event.url, context.host);
+    if (!pageUrl) return null;
+
+    const agent = parseUserAgent(context.user_agent || '');
+    const doc = {
+      event_type: event.type,
+      content_id: matching(event.content_id, CONTENT_ID),
+      page_url: pageUrl,
+      page_title: text(event.title, 200),
+      event_data: eventData(event.data),
+      visitor: {
+        ip_address: context.ip,
+        user_agent: text(context.user_agent),
+        session_id: context.session_id,
+        user_id: context.user_id || undefined
+      },
+      device: {
+        type: context.user_agent ? agent.device_type : 'unknown',
+        browser: agent.browser,
+        browser_version: agent.browser_version,
+        os: agent.os,
+        os_version: agent.os_version,
+        screen_resolution: matching(event.screen, DIMENSIONS),
+        viewport_size: matching(event.viewport, DIMENSIONS)
+      },
+      timestamp: context.received_at,
+      meta: {
+        user_agent_raw: text(context.user_agent),
+        server_timestamp: context.received_at
+      }
+    };
+
+    if (event.type === 'page_view') {
+      const viewId = matching(event.view_id, VIEW_ID);
+      doc.event_data = { ...(doc.event_data || {}), ...(viewId ? { view_id: viewId } : {}) };
+      doc.referrer = classifyReferrer(text(event.referrer, 2000), text(event.url, 2000), context.host);
+      doc.metrics = { page_load_time: number(event.load_time, 0, 600000) };
+    }
+    return doc;
+  }
+
+  // The 'analytics' settings category, with defaults for anything missing
+  async getPrivacySettings() {
+    try {
+      const values = {};
+      (await settings.getSettingsByCategory('analytics')).forEach(setting => {
+        values[setting.key] = setting.value;
+      });
+      const flag = (key, fallback) => typeof values[key] === 'boolean' ? values[key] : fallback;
+      const days = (key, fallback) => {
+        const parsed = number(values[key], 0, 3650);
+        return parsed === undefined ? fallback : Math.floor(parsed);
+      };
+      return {
+        anonymize_ip: flag('analytics_anonymize_ip', PRIVACY_DEFAULTS.anonymize_ip),
+        respect_dnt: flag('analytics_respect_dnt', PRIVACY_DEFAULTS.respect_dnt),
+        anonymize_after_days: days('analytics_anonymize_after_days', PRIVACY_DEFAULTS.anonymize_after_days),
+        retention_days: days('analytics_retention_days', PRIVACY_DEFAULTS.retention_days)
+      };
+    } catch (error) {
+      throw new Error(`Get analytics privacy settings failed: ${error.message}`);
+    }
+  }
+
+  // Stores a batch from the tracking script. Bot traffic, visitors who opted
+  // out through Do-Not-Track or Global Privacy Control and malformed events
+  // are dropped; engagement updates are applied to their page views.
+  async collect(payload, context) {
+    try {
+      const sessionId = matching(payload && payload.session_id, SESSION_ID);
+      const events = Array.isArray(payload && payload.events)
+        ? payload.events.slice(0, MAX_BATCH_SIZE)
+        : [];
+      if (!sessionId || parseUserAgent(context.user_agent || '').is_bot) {
+        return { accepted: 0, rejected: events.length };
+      }
+      const privacy = await this.getPrivacySettings();
+      if (privacy.respect_dnt && context.do_not_track) {
+        return { accepted: 0, rejected: events.length };
+      }
+
+      const scoped = {
+        ...context,
+        ip: privacy.anonymize_ip ? anonymizeIp(context.ip) : context.ip || 'unknown',
+        session_id: sessionId
+      };
+      const documents = [];
+      const engagements = [];
+      events.forEach(event => {
+        if (event && event.type === 'engagement') {
+          const viewId = matching(event.view_id, VIEW_ID);
+          if (viewId) engagements.push({ viewId, event });
+          return;
+        }
+        const doc = this.buildEvent(event, scoped);
+        if (doc) documents.push(doc);
+      });
+
+      if (documents.length > 0) {
+        await this.bulkInsert(documents);
+      }
+      for (const { viewId, event } of engagements) {
+        await this.recordEngagement(sessionId, viewId, event);
+      }
+      const accepted = documents.length + engagements.length;
+      return { accepted, rejected: events.length - accepted };
+    } catch (error) {
+      throw new Error(`Analytics collection failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Rollup rows for one UTC day (YYYY-MM-DD), computed from the raw events.
+  // The 'site' row is always included.
+  async buildRollups(date) {
+    try {
+      const start = new Date(date + 'T00:00:00Z');
+      const match = {
+        $match: {
+          event_type: 'page_view',
+          timestamp: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) }
+        }
+      };
+      const byDimension = field => this.aggregate([
+        match,
+        { $group: { _id: { key: field, session: '$visitor.session_id' }, views: { $sum: 1 } } },
+        { $group: { _id: '$_id.key', views: { $sum: '$views' }, visitors: { $sum: 1 } } }
+      ]);
+
+      const [site, pages, sources, devices] = await Promise.all([
+        this.aggregate([
+          match,
+          {
+            $group: {
+              _id: '$visitor.session_id',
+              views: { $sum: 1 },
+              duration: { $sum: { $ifNull: ['$metrics.duration', 0] } }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              views: { $sum: '$views' },
+              visitors: { $sum: 1 },
+              bounces: { $sum: { $cond: [{ $eq: ['$views', 1] }, 1, 0] } },
+              total_duration: { $sum: '$duration' },
+              timed: { $sum: { $cond: [{ $gt: ['$duration', 0] }, 1, 0] } }
+            }
+          }
+        ]),
+        this.aggregate([
+          match,
+          {
+            $group: {
+              _id: '$visitor.session_id',
+              count: { $sum: 1 },
+              views: {
+                $push: {
+                  page_url: '$page_url',
+                  content_id: '$content_id',
+                  duration: { $ifNull: ['$metrics.duration', 0] }
+                }
+              }
+            }
+          },
+          { $unwind: '$views' },
+          {
+            $group: {
+              _id: { session: '$_id', page: '$views.page_url' },
+              views: { $sum: 1 },
+              content_id: { $max: '$views.content_id' },
+              total_duration: { $sum: '$views.duration' },
+              timed: { $sum: { $cond: [{ $gt: ['$views.duration', 0] }, 1, 0] } },
+              bounce: { $max: { $cond: [{ $eq: ['$count', 1] }, 1, 0] } }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.page',
+              views: { $sum: '$views' },
+              visitors: { $sum: 1 },
+              bounces: { $sum: '$bounce' },
+              total_duration: { $sum: '$total_duration' },
+              timed: { $sum: '$timed' },
+              content_id: { $max: '$content_id' }
+            }
+          }
+        ]),
+        byDimension('$referrer.source'),
+        byDimension('$device.type')
+      ]);
+
+      const counters = row => ({
+        views: row.views || 0,
+        visitors: row.visitors || 0,
+        bounces: row.bounces || 0,
+        total_duration: row.total_duration || 0,
+        timed: row.timed || 0
+      });
+      return [
+        { date, dimension: 'site', key: '', ...counters(site[0] || {}) },
+        ...pages.map(row => ({
+          date,
+          dimension: 'page',
+          key: row._id,
+          content_id: row.content_id || undefined,
+          ...counters(row)
+        })),
+        ...sources.map(row => ({ date, dimension: 'source', key: row._id || 'direct', ...counters(row) })),
+        ...devices.map(row => ({ date, dimension: 'device', key: row._id || 'unknown', ...counters(row) }))
+      ];
+    } catch (error) {
+      throw new Error(`Build analytics rollups failed: ${error.message}`);
+    }
+  }
+
+  // The day of the oldest page view, or null before there are any
+  async oldestEventDay() {
+    const oldest = await this.model.findOne({ event_type: 'page_view' })
+      .sort({ timestamp: 1 })
+      .select('timestamp');
+    return oldest ? formatDay(oldest.timestamp) : null;
+  }
+
+  // Rolls up the closed days that have no rollup yet, oldest first and at
+  // most maxDays per call, so gaps left by downtime or a failed run are
+  // filled too. Days before the oldest page view had no traffic to count.
+  async rollupPending(now = new Date(), maxDays = 31) {
+    try {
+      const today = formatDay(now);
+      const first = await this.oldestEventDay();
+      if (!first) return [];
+      const done = new Set(await AnalyticsRollups.findDates(first, today));
+
+      const dates = daysBetween(first, today).filter(date => !done.has(date)).slice(0, maxDays);
+      for (const date of dates) {
+        await AnalyticsRollups.replaceDay(date, await this.buildRollups(date));
+      }
+      return dates;
+    } catch (error) {
+      throw new Error(`Analytics rollup failed: ${error.message}`);
+    }
+  }
+
+  // Everything the dashboard shows for a range from lib/date-range. Closed
+  // days come from the rollups; today, if in range, from the raw events.
+  // Closed days the job hasn't rolled up yet are counted from the raw events
+  // too, but only the latest few per request and without storing them; any
+  // others are listed in pending_days and count as no traffic for now.
+  async getStats(range, now = new Date()) {
+    try {
+      const today = formatDay(now);
+      const [stored, live] = await Promise.all([
+        range.from < today
+          ? AnalyticsRollups.findBetween(range.from, range.to)
+          : [],
+        range.to >= today ? this.buildRollups(today) : []
+      ]);
+      const rows = stored.filter(row => row.date < today);
+
+      // Every rolled up day has a site row, even without any views
+      const rolledUp = new Set(rows.filter(row => row.dimension === 'site').map(row => row.date));
+      let missing = eachDay(range).filter(date => date < today && !rolledUp.has(date));
+      if (missing.length > 0) {
+        const first = await this.oldestEventDay();
+        missing = first ? missing.filter(date => date >= first) : [];
+      }
+      const counted = missing.slice(-MAX_UNROLLED_DAYS);
+      for (const date of counted) {
+        rows.push(...await this.buildRollups(date));
+      }
+      rows.push(...live);
+      const stats = summarize(rows, range);
+      stats.pending_days = missing.slice(0, missing.length - counted.length);
+
+      const titles = {};
+      if (stats.popular_content.length > 0) {
+        const items = await Content.find({ ID: { $in: stats.popular_content.map(item => item.content_id) } })
+          .select('ID title type slug');
+        items.forEach(item => {
+          titles[item.ID] = item;
+        });
+      }
+      stats.popular_content.forEach(item => {
+        if (titles[item.content_id]) {
+          item.title = titles[item.content_id].title;
+          item.url = titles[item.content_id].url;
+        }
+      });
+      return stats;
+    } catch (error) {
+      throw new Error(`Analytics stats failed: ${error.message}`);
+    }
+  }
+
+  // Scheduled by jobs/analytics-privacy.js. A day count of 0 turns the step off.
+  async applyRetention(privacy) {
+    try {
+      const result = { anonymized: 0, deleted: 0 };
+      if (privacy.anonymize_after_days > 0) {
+        const { modifiedCount } = await this.model.anonymizeOldData(privacy.anonymize_after_days);
+        result.anonymized = modifiedCount;
+      }
+      if (privacy.retention_days > 0) {
+        const { deletedCount } = await this.model.cleanupOldData(privacy.retention_days);
+        result.deleted = deletedCount;
+      }
+      return result;
+    } catch (error) {
+      throw new Error(`Analytics retention failed: ${error.message}`);
+    }
+  }
+
+  // Time on page and scroll depth arrive when the visitor leaves, so they
+  // are written onto the page view recorded earlier
+  async recordEngagement(sessionId, viewId, event) {
+    try {
+      const metrics = {};
+      const duration = number(event.duration, 0, 24 * 60 * 60);
+      const scrollDepth = number(event.scroll_depth, 0, 100);
+      if (duration !== undefined) metrics['metrics.duration'] = Math.round(duration);
+      if (scrollDepth !== undefined) metrics['metrics.scroll_depth'] = Math.round(scrollDepth);
+      if (Object.keys(metrics).length === 0) return null;
+
+      return await this.model.updateOne(
+        { event_type: 'page_view', 'visitor.session_id': sessionId, 'event_data.view_id': viewId },
+        { $max: metrics }
+      );
+    } catch (error) {
+      throw new Error(`Record engagement failed: ${error.message}`);
+    }
+  }
+};
@@ -11,7 +11,7 @@ module.exports = class BaseModel {
       const document = new this.model(data);
       return await document.save();
     } catch (error) {
-      throw new Error(`Insert failed: ${error.message}`);
+      throw new Error(`Insert failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -30,7 +30,7 @@ module.exports = class BaseModel {
       
       return updatedDocument;
     } catch (error) {
-      throw new Error(`Update failed: ${error.message}`);
+      throw new Error(`Update failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -0,0 +1,135 @@
+const Base = require("./base");
+const { Comments, Content } = require("./schemas");
+
+module.exports = class CommentModel extends Base {
+  constructor() {
+    super(Comments);
+  }
+
+  // New comments always start in the moderation queue
+  async submit(contentId, data) {
+    try {
+      if (data.parent_id) {
+        const parent = await this.findOne({ ID: data.parent_id, content_id: contentId, status: 'approved' });
+        if (!parent) {
+          throw new Error('Parent comment not found');
+        }
+      }
+
+      return await this.insert({
+        content_id: contentId,
+        parent_id: data.parent_id || null,
+        author_name: data.author_name,
+        author_email: data.author_email,
+        body: data.body,
+        status: data.status === 'spam' ? 'spam' : 'pending',
+        ip_address: data.ip_address,
+        user_agent: data.user_agent
+      });
+    } catch (error) {
+      throw new Error(`Comment submission failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Approved comments of one item, nested under their parents
+  async findApprovedThread(contentId) {
+    try {
+      const comments = await this.getlist(
+        { content_id: contentId, status: 'approved' },
+        { sort: { created_at: 1 } }
+      );
+      return this.buildThread(comments.map(comment => comment.toObject()));
+    } catch (error) {
+      throw new Error(`Find comment thread failed: ${error.message}`);
+    }
+  }
+
+  buildThread(comments) {
+    const byId = {};
+    const roots = [];
+
+    comments.forEach(comment => {
+      byId[comment.ID] = { ...comment, replies: [] };
+    });
+    comments.forEach(comment => {
+      const node = byId[comment.ID];
+      const parent = comment.parent_id && byId[comment.parent_id];
+      (parent ? parent.replies : roots).push(node);
+    });
+
+    return roots;
+  }
+
+  async findByStatus(status = 'pending', options = {}) {
+    try {
+      return await this.getlist({ status }, {
+        sort: { created_at: -1 },
+        ...options
+      });
+    } catch (error) {
+      throw new Error(`Find comments by status failed: ${error.message}`);
+    }
+  }
+
+  async approve(ID, userId = null) {
+    return this.moderate(ID, 'approved', userId);
+  }
+
+  async markSpam(ID, userId = null) {
+    return this.moderate(ID, 'spam', userId);
+  }
+
+  async moderate(ID, status, userId = null) {
+    try {
+      const comment = await this.update(ID, {
+        status,
+        moderated_by: userId,
+        moderated_at: new Date()
+      });
+      await this.syncCommentCount(comment.content_id);
+      return comment;
+    } catch (error) {
+      throw new Error(`Comment moderation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Removing a comment removes its replies too, so no thread is left dangling
+  async remove(ID) {
+    try {
+      const comment = await super.remove(ID);
+      let parents = [comment.ID];
+      while (parents.length > 0) {
+        const replies = await this.getlist({ parent_id: { $in: parents } }, { select: 'ID' });
+        parents = replies.map(reply => reply.ID);
+        if (parents.length > 0) {
+          await this.model.deleteMany({ ID: { $in: parents } });
+        }
+      }
+      await this.syncCommentCount(comment.content_id);
+      return comment;
+    } catch (error) {
+      throw new Error(`Comment removal failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // All comments on a content item, for when the item itself is removed
+  async removeByContent(contentId) {
+    try {
+      return await this.model.deleteMany({ content_id: contentId });
+    } catch (error) {
+      throw new Error(`Remove comments by content failed: ${error.message}`);
+    }
+  }
+
+  // metrics.comment_count mirrors the number of approved comments. Written
+  // directly: a count change is not a content revision.
+  async syncCommentCount(contentId) {
+    try {
+      const count = await this.model.countApproved(contentId);
+      await Content.updateOne({ ID: contentId }, { $set: { 'metrics.comment_count': count } });
+      return count;
+    } catch (error) {
+      throw new Error(`Comment count sync failed: ${error.message}`);
+    }
+  }
+};
@@ -1,5 +1,22 @@
 const Base = require("./base");
 const { Content } = require("./schemas");
+const RevisionModel = require("./revision");
+const MediaModel = require("./media");
+const CommentModel = require("./comment");
+const diff = require("../lib/diff");
+const markup = require("../lib/markup");
+const { deriveFields } = require("../lib/content-stats");
+
+// Published, public and not marked noindex in metadata.robots
+const SITEMAP_QUERY = {
+  status: 'published',
+  visibility: 'public',
+  'metadata.robots': { $not: /noindex/i }
+};
+
+const revisions = new RevisionModel();
+const media = new MediaModel();
+const comments = new CommentModel();
 
 module.exports = class ContentModel extends Base {
   constructor() {
@@ -30,34 +47,194 @@ module.exports = class ContentModel extends Base {
       // Ensure slug is unique
       contentData.slug = await this.ensureUniqueSlug(contentData.slug);
 
-      return await super.insert(contentData);
+      const content = await super.insert(contentData);
+      await this.syncMediaUsage(content);
+      return content;
     } catch (error) {
-      throw new Error(`Content creation failed: ${error.message}`);
+      throw new Error(`Content creation failed: ${error.message}`, { cause: error });
     }
   }
 
-  // Override update to handle content-specific logic
-  async update(ID, data) {
+  // Override update to handle content-specific logic. Every update snapshots
+  // the previous state into the revisions collection first.
+  async update(ID, data, options = {}) {
     try {
+      const { userId = null, changelog = null } = options;
+
+      const existingContent = await this.findById(ID);
+      if (!existingContent) {
+        throw new Error('Document not found');
+      }
+
       // Handle slug updates
       if (data.slug) {
         data.slug = await this.ensureUniqueSlug(data.slug, ID);
       }
 
       // Handle title updates that might affect slug
-      if (data.title && !data.slug) {
-        const existingContent = await this.findById(ID);
-        if (existingContent && !existingContent.slug) {
-          data.slug = await this.ensureUniqueSlug(this.generateSlug(data.title), ID);
+      if (data.title && !data.slug && !existingContent.slug) {
+        data.slug = await this.ensureUniqueSlug(this.generateSlug(data.title), ID);
+      }
+
+      // Remember the old slug so requests to it can be redirected
+      if (data.slug && existingContent.slug && data.slug !== existingContent.slug) {
+        data.previous_slugs = [
+          ...(existingContent.previous_slugs || []),
+          existingContent.slug
+        ].filter((slug, index, slugs) => slug !== data.slug && slugs.indexOf(slug) === index);
+      }
+
+      // The editor and the API publish by changing the status; the first
+      // time that happens is the publish date listings and feeds sort on
+      const timestamps = existingContent.timestamps || {};
+      if (data.status === 'published' && !timestamps.published_at && !data['timestamps.published_at']) {
+        data['timestamps.published_at'] = new Date();
+      }
+
+      this.applyDerivedFields(existingContent, data);
+
+      await revisions.snapshot(existingContent, userId, changelog);
+
+      data['version.number'] = ((existingContent.version && existingContent.version.number) || 1) + 1;
+      data['version.changelog'] = changelog || undefined;
+      data['timestamps.updated_at'] = new Date();
+      if (userId) {
+        data['timestamps.last_modified_by'] = userId;
+      }
+
+      const content = await super.update(ID, data);
+      await this.syncMediaUsage(content);
+      return content;
+    } catch (error) {
+      throw new Error(`Content update failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Adds word count, reading time and the generated excerpt to update data,
+  // like the pre-save hook does for new documents. A generated excerpt
+  // follows the body; one written by hand is left alone.
+  applyDerivedFields(existing, data) {
+    const content = data.content !== undefined ? data.content : existing.content;
+    const derived = deriveFields(content, data.format || existing.format);
+    if ((data.type || existing.type) === 'blog') {
+      if (data.blog_specific && typeof data.blog_specific === 'object') {
+        data.blog_specific = {
+          ...data.blog_specific,
+          word_count: derived.word_count,
+          reading_time: derived.reading_time
+        };
+      } else {
+        data['blog_specific.word_count'] = derived.word_count;
+        data['blog_specific.reading_time'] = derived.reading_time;
+      }
+    }
+    if (data.excerpt === undefined && existing.excerpt && data.content !== undefined) {
+      const generated = deriveFields(existing.content, existing.format).excerpt;
+      if (existing.excerpt === generated) data.excerpt = derived.excerpt;
+    } else if (data.excerpt === '' || (data.excerpt === undefined && !existing.excerpt)) {
+      data.excerpt = derived.excerpt || undefined;
+    }
+    return data;
+  }
+
+  // Fills the derived fields on documents saved before they existed, without
+  // creating revisions or touching updated_at. Excerpts are only added where
+  // there is none. Returns the number of documents checked and changed.
+  async backfillDerivedFields(batchSize = 500) {
+    try {
+      let checked = 0;
+      let updated = 0;
+      let operations = [];
+      const flush = async () => {
+        if (operations.length > 0) await this.model.bulkWrite(operations);
+        updated += operations.length;
+        operations = [];
+      };
+      const cursor = this.model
+        .find({})
+        .select('ID type content format excerpt blog_specific')
+        .lean()
+        .cursor();
+      for await (const content of cursor) {
+        checked++;
+        const derived = deriveFields(content.content, content.format);
+        const blog = content.blog_specific || {};
+        const set = {};
+        if (content.type === 'blog') {
+          if (blog.word_count !== derived.word_count) set['blog_specific.word_count'] = derived.word_count;
+          if (blog.reading_time !== derived.reading_time) set['blog_specific.reading_time'] = derived.reading_time;
         }
+        if (!content.excerpt && derived.excerpt) set.excerpt = derived.excerpt;
+        if (Object.keys(set).length > 0) {
+          operations.push({ updateOne: { filter: { ID: content.ID }, update: { $set: set } } });
+        }
+        if (operations.length >= batchSize) await flush();
       }
+      await flush();
+      return { checked, updated };
+    } catch (error) {
+      throw new Error(`Backfill of derived fields failed: ${error.message}`);
+    }
+  }
+
+  async remove(ID) {
+    try {
+      const content = await super.remove(ID);
+      await media.clearUsage(content.ID);
+      await revisions.removeByContent(content.ID);
+      await comments.removeByContent(content.ID);
+      return content;
+    } catch (error) {
+      throw new Error(`Content removal failed: ${error.message}`, { cause: error });
+    }
+  }
 
-      return await super.update(ID, data);
+  // Keeps Media.used_in in step with what the item references. The content is
+  // already saved at this point, so a failure is logged rather than thrown;
+  // the next save reconciles again.
+  async syncMediaUsage(content) {
+    try {
+      await media.syncUsage(content);
     } catch (error) {
-      throw new Error(`Content update failed: ${error.message}`);
+      console.error(`Media usage for ${content.ID} not updated: ${error.message}`);
     }
   }
 
+  // Sanitized HTML for the body. The result is stored on the document and
+  // reused until the version number changes, which every update bumps, or
+  // the renderer itself changes. Storing it is best effort: a failure only
+  // means the next request renders again.
+  async renderBody(content) {
+    const version = (content.version && content.version.number) || 1;
+    const format = content.format || 'html';
+    const cached = content.rendered;
+    if (
+      cached &&
+      cached.version === version &&
+      cached.format === format &&
+      cached.renderer === markup.RENDERER_VERSION
+    ) {
+      return cached.html;
+    }
+    const rendered = {
+      html: markup.render(content.content, format),
+      version,
+      format,
+      renderer: markup.RENDERER_VERSION
+    };
+    try {
+      // Directly on the collection: caching is not an edit and must not
+      // create a revision or touch updated_at
+      await this.model.updateOne(
+        { ID: content.ID, 'version.number': content.version ? version : { $exists: false } },
+        { $set: { rendered } }
+      );
+    } catch (error) {
+      console.error(`Rendered body for ${content.ID} not cached: ${error.message}`);
+    }
+    return rendered.html;
+  }
+
   // Content-specific methods
   async findPublished(options = {}) {
     try {
@@ -72,12 +249,14 @@ module.exports = class ContentModel extends Base {
     }
   }
 
+  // options.filter narrows the query further, e.g. to a tag
   async findByType(type, options = {}) {
     try {
-      const query = { type, status: 'published' };
+      const { filter = {}, ...listOptions } = options;
+      const query = { ...filter, type, status: 'published' };
       const defaultOptions = {
         sort: { 'timestamps.published_at': -1 },
-        ...options
+        ...listOptions
       };
       return await this.getlist(query, defaultOptions);
     } catch (error) {
@@ -93,6 +272,14 @@ module.exports = class ContentModel extends Base {
     }
   }
 
+  async findByPreviousSlug(slug, options = {}) {
+    try {
+      return await this.findOne({ previous_slugs: slug }, options);
+    } catch (error) {
+      throw new Error(`Find content by previous slug failed: ${error.message}`);
+    }
+  }
+
   async findFeatured(options = {}) {
     try {
       const query = { 
@@ -189,6 +376,109 @@ module.exports = class ContentModel extends Base {
     }
   }
 
+  // Scheduled content whose publish_at has passed
+  async findDueForPublishing(now = new Date()) {
+    try {
+      return await this.getlist({
+        status: 'scheduled',
+        'schedule.publish_at': { $lte: now }
+      }, { sort: { 'schedule.publish_at': 1 } });
+    } catch (error) {
+      throw new Error(`Find content due for publishing failed: ${error.message}`);
+    }
+  }
+
+  // Published content whose unpublish_at has passed
+  async findDueForUnpublishing(now = new Date()) {
+    try {
+      return await this.getlist({
+        status: 'published',
+        'schedule.unpublish_at': { $lte: now }
+      }, { sort: { 'schedule.unpublish_at': 1 } });
+    } catch (error) {
+      throw new Error(`Find content due for unpublishing failed: ${error.message}`);
+    }
+  }
+
+  // Autosave keeps the in-progress editor state in version.auto_save. It is not
+  // a content change: no revision, no updated_at bump, published fields untouched.
+  async autosave(ID, data, userId = null) {
+    try {
+      const autoSave = {
+        title: data.title,
+        content: data.content,
+        excerpt: data.excerpt,
+        saved_at: new Date(),
+        saved_by: userId
+      };
+      return await super.update(ID, { 'version.auto_save': autoSave });
+    } catch (error) {
+      throw new Error(`Content autosave failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // The autosave, if it was written after the last real save
+  getPendingAutosave(content) {
+    const autoSave = content.version && content.version.auto_save;
+    if (!autoSave || !autoSave.saved_at) {
+      return null;
+    }
+    const updatedAt = content.timestamps && content.timestamps.updated_at;
+    return !updatedAt || new Date(autoSave.saved_at) > updatedAt ? autoSave : null;
+  }
+
+  // Revision history
+  async getRevisions(ID) {
+    try {
+      return await revisions.findByContent(ID);
+    } catch (error) {
+      throw new Error(`Get revisions failed: ${error.message}`);
+    }
+  }
+
+  // Resolve a revision ID, or 'current' for the live document, to a snapshot
+  async getRevisionSnapshot(ID, revisionId) {
+    if (revisionId === 'current') {
+      const content = await this.findById(ID);
+      return content ? revisions.toSnapshot(content) : null;
+    }
+    const revision = await revisions.findForContent(ID, revisionId);
+    return revision ? revision.snapshot : null;
+  }
+
+  async diffRevisions(ID, fromRevisionId, toRevisionId = 'current') {
+    try {
+      const [from, to] = await Promise.all([
+        this.getRevisionSnapshot(ID, fromRevisionId),
+        this.getRevisionSnapshot(ID, toRevisionId)
+      ]);
+      if (!from || !to) {
+        throw new Error('Revision not found');
+      }
+      return diff(from, to);
+    } catch (error) {
+      throw new Error(`Revision diff failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Restoring is itself an update, so the state it replaces becomes a revision.
+  // The publishing status is left alone: restoring must not publish anything.
+  async restoreRevision(ID, revisionId, userId = null) {
+    try {
+      const revision = await revisions.findForContent(ID, revisionId);
+      if (!revision) {
+        throw new Error('Revision not found');
+      }
+      const { status, ...snapshot } = revision.snapshot;
+      return await this.update(ID, snapshot, {
+        userId,
+        changelog: `Restored version ${revision.version}`
+      });
+    } catch (error) {
+      throw new Error(`Revision restore failed: ${error.message}`, { cause: error });
+    }
+  }
+
   async incrementViews(ID) {
     try {
       const content = await this.findById(ID);
@@ -201,7 +491,8 @@ module.exports = class ContentModel extends Base {
         'metrics.last_viewed': new Date()
       };
 
-      return await this.update(ID, updateData);
+      // Metrics aren't content changes: skip revisions and updated_at
+      return await super.update(ID, updateData);
     } catch (error) {
       throw new Error(`View count update failed: ${error.message}`);
     }
@@ -234,6 +525,70 @@ module.exports = class ContentModel extends Base {
     }
   }
 
+  async countSitemapEntries() {
+    try {
+      return await this.count(SITEMAP_QUERY);
+    } catch (error) {
+      throw new Error(`Count sitemap entries failed: ${error.message}`);
+    }
+  }
+
+  // One slice of the sitemap, in a stable order so slices don't overlap
+  async findSitemapEntries(skip = 0, limit = 50000) {
+    try {
+      return await this.getlist(SITEMAP_QUERY, {
+        sort: { _id: 1 },
+        skip,
+        limit,
+        select: 'slug type timestamps metadata.canonical_url'
+      });
+    } catch (error) {
+      throw new Error(`Find sitemap entries failed: ${error.message}`);
+    }
+  }
+
+  // Counts for the admin stats overview
+  async getDashboardCounts() {
+    try {
+      const groups = await this.aggregate([
+        { $match: { type: { $in: ['blog', 'page'] } } },
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+      ]);
+      const count = (type, status) => groups
+        .filter(group => group._id.type === type && (!status || group._id.status === status))
+        .reduce((sum, group) => sum + group.count, 0);
+
+      return {
+        total_posts: count('blog'),
+        published_posts: count('blog', 'published'),
+        draft_posts: count('blog', 'draft'),
+        total_pages: count('page')
+      };
+    } catch (error) {
+      throw new Error(`Dashboard counts failed: ${error.message}`);
+    }
+  }
+
+  // Most recently changed items; version 1 means the item was never edited
+  async getRecentActivity(limit = 10) {
+    try {
+      const items = await this.getlist({}, {
+        sort: { 'timestamps.updated_at': -1 },
+        limit,
+        select: 'ID title type version timestamps'
+      });
+      return items.map(item => ({
+        action: item.version && item.version.number > 1 ? 'updated' : 'created',
+        item_id: item.ID,
+        item_type: item.type,
+        item_title: item.title,
+        timestamp: item.timestamps.updated_at || item.timestamps.created_at
+      }));
+    } catch (error) {
+      throw new Error(`Recent activity failed: ${error.message}`);
+    }
+  }
+
   async getPopularContent(limit = 10) {
     try {
       const query = { status: 'published' };
@@ -297,9 +652,10 @@ module.exports = class ContentModel extends Base {
     }
   }
 
-  async getByTypePaginated(type, page = 1, limit = 10) {
+  // filter narrows the query further, e.g. to public content
+  async getByTypePaginated(type, page = 1, limit = 10, filter = {}) {
     try {
-      const query = { type, status: 'published' };
+      const query = { ...filter, type, status: 'published' };
       const options = {
         page,
         limit,
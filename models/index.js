@@ -1,10 +1,18 @@
 const ContentModel = require('./content');
 const UserModel = require('./user');
 const SettingsModel = require('./settings');
+const RevisionModel = require('./revision');
+const CommentModel = require('./comment');
+const MediaModel = require('./media');
+const AnalyticsModel = require('./analytics');
 
 // Export model instances
 module.exports = {
   Content: new ContentModel(),
   User: new UserModel(),
-  Settings: new SettingsModel()
+  Settings: new SettingsModel(),
+  Revisions: new RevisionModel(),
+  Comments: new CommentModel(),
+  Media: new MediaModel(),
+  Analytics: new AnalyticsModel()
 };
\ No newline at end of file
@@ -0,0 +1,308 @@
+const Base = require("./base");
+const { Media } = require("./schemas");
+const { MediaStorage, normalizeFolder } = require('../lib/media-storage');
+const { sniffMimeType, extensionFor } = require('../lib/mime');
+const image = require('../lib/image');
+const findMediaReferences = require('../lib/media-references');
+const escapeRegExp = require('../lib/escape-regexp');
+const config = require('../config')();
+
+// Thumbnail variants by target width; only those narrower than the original
+// are generated
+const THUMBNAIL_SIZES = [
+  { size: 'small', width: 320 },
+  { size: 'medium', width: 640 },
+  { size: 'large', width: 1024 },
+  { size: 'xlarge', width: 1600 }
+];
+
+// Items left in "processing" this long (say, by a crashed worker) are picked up again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Media problems the client can fix; `code` is what the API reports
+function mediaError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Tags arrive as an array or a comma separated form value
+function parseTags(value) {
+  const tags = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+module.exports = class MediaModel extends Base {
+  constructor(options = config.media) {
+    super(Media);
+    this.options = options;
+    this.storage = new MediaStorage(options);
+  }
+
+  // Checks a parsed upload ({ originalname, mimetype, size, buffer }) and
+  // returns its real mime type. The declared type has to match the content.
+  validateUpload(file) {
+    if (!file || !file.buffer || file.size === 0) {
+      throw mediaError('EMPTY_FILE', 'File is empty');
+    }
+    if (file.size > this.options.max_file_size) {
+      throw mediaError('FILE_TOO_LARGE', 'File is too large');
+    }
+    const mimeType = sniffMimeType(file.buffer);
+    if (!mimeType || !this.options.allowed_types.includes(mimeType)) {
+      throw mediaError('UNSUPPORTED_MEDIA_TYPE', `Unsupported file type: ${file.originalname}`);
+    }
+    if (file.mimetype && file.mimetype !== mimeType) {
+      throw mediaError('UNSUPPORTED_MEDIA_TYPE', `File content does not match its type: ${file.originalname}`);
+    }
+    return mimeType;
+  }
+
+  // Validates, writes the file under the media root and records it. The file
+  // is removed again when the record cannot be saved.
+  async upload(file, options = {}) {
+    const { folder = 'uploads', tags = [], userId, alt_text } = options;
+    let stored = null;
+    try {
+      const mimeType = this.validateUpload(file);
+      const extension = extensionFor(mimeType);
+      const isImage = mimeType.startsWith('image/');
+      stored = await this.storage.save(file.buffer, { folder, extension });
+
+      return await this.insert({
+        filename: stored.filename,
+        original_filename: file.originalname,
+        file_path: stored.file_path,
+        url: stored.url,
+        file_size: file.size,
+        mime_type: mimeType,
+        file_extension: extension,
+        folder: normalizeFolder(folder),
+        tags: parseTags(tags),
+        uploaded_by: userId,
+        seo: { alt_text },
+        processing: { status: isImage ? 'pending' : 'completed' }
+      });
+    } catch (error) {
+      if (stored) {
+        await this.storage.remove(stored.file_path).catch(() => {});
+      }
+      throw new Error(`Media upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Media browser query: filename search plus tag, folder and type filters
+  buildQuery(filters = {}) {
+    const query = {};
+    if (filters.q) {
+      query.original_filename = new RegExp(escapeRegExp(String(filters.q)), 'i');
+    }
+    if (filters.tag) {
+      query.tags = String(filters.tag).toLowerCase();
+    }
+    if (filters.folder) {
+      query.folder = String(filters.folder);
+    }
+    if (filters.type === 'image') {
+      query.mime_type = /^image\//;
+    } else if (filters.type === 'document') {
+      query.mime_type = { $not: /^image\// };
+    }
+    if (filters.uploaded_by) {
+      query.uploaded_by = filters.uploaded_by;
+    }
+    return query;
+  }
+
+  async browse(filters = {}, page = 1, limit = 24) {
+    try {
+      return await this.paginate(this.buildQuery(filters), {
+        page,
+        limit,
+        sort: { uploaded_at: -1 }
+      });
+    } catch (error) {
+      throw new Error(`Media browse failed: ${error.message}`);
+    }
+  }
+
+  // Media records for a set of file URLs, keyed by URL
+  async findByUrls(urls) {
+    try {
+      const wanted = [...new Set(urls.filter(Boolean))];
+      if (wanted.length === 0) return {};
+      const found = {};
+      (await this.getlist({ url: { $in: wanted } })).forEach(media => {
+        found[media.url] = media;
+      });
+      return found;
+    } catch (error) {
+      throw new Error(`Find media by URL failed: ${error.message}`);
+    }
+  }
+
+  async getFolders() {
+    try {
+      return (await this.model.distinct('folder')).sort();
+    } catch (error) {
+      throw new Error(`Get media folders failed: ${error.message}`);
+    }
+  }
+
+  async getTags() {
+    try {
+      return (await this.model.distinct('tags')).sort();
+    } catch (error) {
+      throw new Error(`Get media tags failed: ${error.message}`);
+    }
+  }
+
+  // Claims up to `limit` images waiting for processing. Each is switched to
+  // "processing" atomically, so no item is handed out twice.
+  async claimPending(limit = 5, now = new Date()) {
+    try {
+      const claimed = [];
+      while (claimed.length < limit) {
+        const media = await this.model.findOneAndUpdate(
+          {
+            $or: [
+              { 'processing.status': 'pending' },
+              {
+                'processing.status': 'processing',
+                updated_at: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) }
+              }
+            ]
+          },
+          { $set: { 'processing.status': 'processing' } },
+          { new: true, sort: { uploaded_at: 1 } }
+        );
+        if (!media) break;
+        claimed.push(media);
+      }
+      return claimed;
+    } catch (error) {
+      throw new Error(`Claim pending media failed: ${error.message}`);
+    }
+  }
+
+  // Records the image dimensions and generates the thumbnail variants, then
+  // marks the item complete, or failed along with the reason
+  async process(media) {
+    try {
+      const buffer = await this.storage.read(media.file_path);
+      const dimensions = image.readDimensions(buffer, media.mime_type);
+      if (dimensions) {
+        media.image_metadata = { ...(media.image_metadata || {}), ...dimensions };
+      }
+      let thumbnails = [];
+      if (image.canDecode(media.mime_type)) {
+        // Rejects oversized images from the header alone, before decoding
+        image.checkDecodable(buffer, media.mime_type);
+        thumbnails = await this.generateThumbnails(media, buffer);
+      }
+      return await media.markProcessingComplete(thumbnails);
+    } catch (error) {
+      await media.markProcessingFailed(error.message).catch(() => {});
+      throw new Error(`Media processing failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Thumbnails sit next to the original as <name>-<size>.<ext>. The images
+  // are decoded and resized in a worker thread.
+  async generateThumbnails(media, buffer) {
+    const variants = await image.thumbnailsInWorker(buffer, media.mime_type, THUMBNAIL_SIZES);
+    const thumbnails = [];
+    for (const { size, width, height, data } of variants) {
+      const filePath = media.file_path.replace(/(\.[a-z0-9]+)?$/, `-${size}$1`);
+      await this.storage.remove(filePath);
+      await this.storage.write(filePath, data);
+      thumbnails.push({
+        size,
+        url: this.storage.urlFor(filePath),
+        file_path: filePath,
+        width,
+        height,
+        file_size: data.length
+      });
+    }
+    return thumbnails;
+  }
+
+  // Reconciles used_in with the media the content item references now.
+  // Body references count as "inline" for images and "attachment" otherwise.
+  async syncUsage(content) {
+    try {
+      const contentId = content.ID;
+      const references = findMediaReferences(content, this.storage.url);
+      const urls = references.map(reference => reference.url);
+      const [current, referenced] = await Promise.all([
+        this.model.find({ 'used_in.content_id': contentId }),
+        urls.length > 0
+          ? this.model.find({
+            $or: [{ url: { $in: urls } }, { 'processing.thumbnails.url': { $in: urls } }]
+          })
+          : []
+      ]);
+
+      const desired = {};
+      referenced.forEach(media => {
+        const mediaUrls = [media.url, ...((media.processing && media.processing.thumbnails) || []).map(t => t.url)];
+        desired[media.ID] = [...new Set(references
+          .filter(reference => mediaUrls.includes(reference.url))
+          .map(reference => (reference.usage_type === 'inline' && !media.isImage ? 'attachment' : reference.usage_type)))];
+      });
+
+      const affected = {};
+      [...current, ...referenced].forEach(media => {
+        affected[media.ID] = media;
+      });
+
+      for (const media of Object.values(affected)) {
+        const want = desired[media.ID] || [];
+        const have = media.used_in
+          .filter(usage => usage.content_id === contentId)
+          .map(usage => usage.usage_type);
+        if (want.length === have.length && want.every(type => have.includes(type))) continue;
+
+        await this.model.updateOne({ ID: media.ID }, { $pull: { used_in: { content_id: contentId } } });
+        if (want.length > 0) {
+          await this.model.updateOne({ ID: media.ID }, {
+            $push: { used_in: { $each: want.map(type => ({ content_id: contentId, usage_type: type })) } }
+          });
+        }
+      }
+      return desired;
+    } catch (error) {
+      throw new Error(`Media usage sync failed: ${error.message}`);
+    }
+  }
+
+  async clearUsage(contentId) {
+    try {
+      return await this.model.updateMany(
+        { 'used_in.content_id': contentId },
+        { $pull: { used_in: { content_id: contentId } } }
+      );
+    } catch (error) {
+      throw new Error(`Media usage cleanup failed: ${error.message}`);
+    }
+  }
+
+  // Deletes the record along with its file and thumbnails on disk. Media that
+  // content still references is left alone.
+  async remove(ID) {
+    try {
+      const media = await this.model.findOneAndDelete({ ID, used_in: { $size: 0 } });
+      if (!media) {
+        const existing = await this.findById(ID);
+        throw existing
+          ? mediaError('MEDIA_IN_USE', 'Media is still used by content')
+          : new Error('Document not found');
+      }
+      const thumbnails = (media.processing && media.processing.thumbnails) || [];
+      const files = [media.file_path, ...thumbnails.map(thumbnail => thumbnail.file_path)];
+      await Promise.all(files.filter(Boolean).map(filePath => this.storage.remove(filePath)));
+      return media;
+    } catch (error) {
+      throw new Error(`Media removal failed: ${error.message}`, { cause: error });
+    }
+  }
+};
@@ -0,0 +1,79 @@
+const Base = require("./base");
+const { Revisions } = require("./schemas");
+
+// Content fields that are versioned, diffed and restored
+const REVISIONED_FIELDS = [
+  'type',
+  'title',
+  'slug',
+  'content',
+  'format',
+  'excerpt',
+  'status',
+  'visibility',
+  'author',
+  'tags',
+  'categories',
+  'metadata',
+  'blog_specific',
+  'page_specific',
+  'schedule'
+];
+
+module.exports = class RevisionModel extends Base {
+  constructor() {
+    super(Revisions);
+  }
+
+  // Plain copy of the versioned fields of a content document
+  toSnapshot(content) {
+    const source = typeof content.toObject === 'function' ? content.toObject() : content;
+    const snapshot = {};
+    REVISIONED_FIELDS.forEach(field => {
+      if (source[field] !== undefined) {
+        snapshot[field] = source[field];
+      }
+    });
+    return snapshot;
+  }
+
+  async snapshot(content, userId = null, changelog = null) {
+    try {
+      return await this.insert({
+        content_id: content.ID,
+        version: (content.version && content.version.number) || 1,
+        snapshot: this.toSnapshot(content),
+        changelog: changelog || undefined,
+        created_by: userId || undefined
+      });
+    } catch (error) {
+      throw new Error(`Revision snapshot failed: ${error.message}`);
+    }
+  }
+
+  async findByContent(contentId) {
+    try {
+      return await this.model.findByContent(contentId);
+    } catch (error) {
+      throw new Error(`Find revisions by content failed: ${error.message}`);
+    }
+  }
+
+  async findForContent(contentId, revisionId) {
+    try {
+      return await this.findOne({ ID: revisionId, content_id: contentId });
+    } catch (error) {
+      throw new Error(`Find revision failed: ${error.message}`);
+    }
+  }
+
+  async removeByContent(contentId) {
+    try {
+      return await this.model.deleteMany({ content_id: contentId });
+    } catch (error) {
+      throw new Error(`Remove revisions failed: ${error.message}`);
+    }
+  }
+};
+
+module.exports.REVISIONED_FIELDS = REVISIONED_FIELDS;
@@ -418,6 +418,22 @@ AnalyticsSchema.statics.cleanupOldData = function(olderThanDays = 365) {
   return this.deleteMany({ timestamp: { $lt: cutoffDate } });
 };
 
+// Bulk version of the anonymize method below, for events older than the cutoff
+AnalyticsSchema.statics.anonymizeOldData = function(olderThanDays = 30) {
+  const cutoffDate = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  return this.updateMany(
+    { timestamp: { $lt: cutoffDate }, 'visitor.user_agent': { $ne: 'anonymized' } },
+    {
+      $set: {
+        'visitor.ip_address': 'anonymized',
+        'visitor.user_agent': 'anonymized',
+        'meta.user_agent_raw': 'anonymized'
+      },
+      $unset: { 'meta.ip_address_raw': '' }
+    }
+  );
+};
+
 // Instance methods
 AnalyticsSchema.methods.anonymize = function() {
   // Remove or hash sensitive data
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Main Analytics Rollups Schema: per-day counters built from the raw events
+// by jobs/analytics-rollup.js. There is one document per UTC day and
+// dimension value; the 'site' document holds the totals for the day and is
+// written even for days without traffic, so it also marks the day as done.
+const AnalyticsRollupsSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+
+  dimension: {
+    type: String,
+    required: true,
+    enum: ['site', 'page', 'source', 'device']
+  },
+
+  // Page URL, traffic source or device type; empty for 'site'
+  key: {
+    type: String,
+    default: ''
+  },
+
+  content_id: {
+    type: String,
+    ref: 'Content'
+  },
+
+  // Counters
+  views: { type: Number, default: 0 },
+  visitors: { type: Number, default: 0 }, // distinct sessions
+  bounces: { type: Number, default: 0 }, // single-page sessions
+  total_duration: { type: Number, default: 0 }, // seconds
+  timed: { type: Number, default: 0 }, // sessions ('site') or views ('page') with a duration
+
+  rolled_up_at: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: false,
+  collection: 'analytics_rollups'
+});
+
+// Indexes
+AnalyticsRollupsSchema.index({ date: 1, dimension: 1, key: 1 }, { unique: true });
+AnalyticsRollupsSchema.index({ dimension: 1, date: -1 });
+
+// Static methods
+AnalyticsRollupsSchema.statics.findBetween = function(from, to) {
+  return this.find({ date: { $gte: from, $lte: to } }).lean();
+};
+
+// The days from `from` up to, not including, `to` that have been rolled up
+AnalyticsRollupsSchema.statics.findDates = function(from, to) {
+  return this.distinct('date', { dimension: 'site', date: { $gte: from, $lt: to } });
+};
+
+// Replaces everything stored for the day, so a day can be rolled up again.
+// Rows are upserted by their unique key before the ones no longer present
+// are removed, so two runs for the same day can't collide on the index.
+AnalyticsRollupsSchema.statics.replaceDay = async function(date, rows) {
+  const keys = rows.map(row => ({ dimension: row.dimension, key: row.key || '' }));
+  if (rows.length === 0) {
+    return this.deleteMany({ date });
+  }
+  await this.bulkWrite(rows.map((row, index) => ({
+    replaceOne: {
+      filter: { date, ...keys[index] },
+      replacement: { ...row, ...keys[index], date, rolled_up_at: new Date() },
+      upsert: true
+    }
+  })), { ordered: false });
+  return this.deleteMany({ date, $nor: keys });
+};
+
+module.exports = mongoose.model('AnalyticsRollups', AnalyticsRollupsSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Main Comments Schema
+const CommentsSchema = new mongoose.Schema({
+  ID: {
+    type: String,
+    unique: true,
+    required: true,
+    default: () => crypto.randomBytes(20).toString('hex')
+  },
+
+  content_id: {
+    type: String,
+    required: true,
+    ref: 'Content',
+    index: true
+  },
+
+  // Comment this one replies to; null for top-level comments
+  parent_id: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  author_name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  author_email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  },
+
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 1,
+    maxlength: 5000
+  },
+
+  // Moderation
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'approved', 'spam'],
+    default: 'pending',
+    index: true
+  },
+
+  moderated_by: {
+    type: String,
+    ref: 'User'
+  },
+
+  moderated_at: Date,
+
+  // Request metadata, kept for spam handling
+  ip_address: String,
+  user_agent: String,
+
+  created_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+
+}, {
+  timestamps: false, // We're handling timestamps manually
+  collection: 'comments'
+});
+
+// Compound indexes
+CommentsSchema.index({ content_id: 1, status: 1, created_at: 1 });
+CommentsSchema.index({ status: 1, created_at: -1 });
+
+// Static methods
+CommentsSchema.statics.countApproved = function(contentId) {
+  return this.countDocuments({ content_id: contentId, status: 'approved' });
+};
+
+module.exports = mongoose.model('Comments', CommentsSchema);
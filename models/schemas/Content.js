@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { deriveFields } = require('../../lib/content-stats');
 
 // Define subdocument schemas
 const AuthorSchema = new mongoose.Schema({
@@ -48,6 +49,15 @@ const VersionSchema = new mongoose.Schema({
   auto_save: mongoose.Schema.Types.Mixed
 }, { _id: false });
 
+// HTML rendered from `content`, valid while version, format and renderer
+// still match (see ContentModel.renderBody)
+const RenderedSchema = new mongoose.Schema({
+  html: String,
+  version: Number,
+  format: String,
+  renderer: Number
+}, { _id: false });
+
 const MetricsSchema = new mongoose.Schema({
   view_count: { type: Number, default: 0 },
   like_count: { type: Number, default: 0 },
@@ -96,12 +106,24 @@ const ContentSchema = new mongoose.Schema({
     match: /^[a-z0-9-]+$/,
     index: true
   },
+  // Slugs this content was reachable under before, kept for 301 redirects
+  previous_slugs: {
+    type: [String],
+    index: true
+  },
   content: {
     type: String,
     required: function() { 
       return this.status === 'published'; 
     }
   },
+  // How `content` is written; matches User editor_preferences.editor_type
+  format: {
+    type: String,
+    enum: ['wysiwyg', 'markdown', 'html'],
+    default: 'html'
+  },
+  rendered: RenderedSchema,
   excerpt: {
     type: String,
     maxlength: 500
@@ -190,6 +212,23 @@ ContentSchema.pre('save', function(next) {
   next();
 });
 
+// Derived fields: word count and reading time for blog posts, and an excerpt
+// when the editor didn't write one. ContentModel.update does the same for
+// updates, which bypass this hook.
+ContentSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content') || this.isModified('format') || this.isModified('type')) {
+    const derived = deriveFields(this.content, this.format);
+    if (this.type === 'blog') {
+      this.set('blog_specific.word_count', derived.word_count);
+      this.set('blog_specific.reading_time', derived.reading_time);
+    }
+    if (!this.excerpt && derived.excerpt) {
+      this.excerpt = derived.excerpt;
+    }
+  }
+  next();
+});
+
 // Virtual for URL generation
 ContentSchema.virtual('url').get(function() {
   if (this.type === 'blog') {
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Main Locks Schema: lets several app instances agree on who runs a job
+const LocksSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  owner: {
+    type: String,
+    required: true
+  },
+
+  acquired_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  expires_at: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // MongoDB TTL index
+  }
+
+}, {
+  timestamps: false,
+  collection: 'locks'
+});
+
+// Static methods
+LocksSchema.statics.acquire = async function(name, owner, ttlSeconds = 60) {
+  const now = new Date();
+
+  try {
+    // Take the lock if it is free, expired, or already ours (renewal)
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { expires_at: { $lte: now } },
+          { owner }
+        ]
+      },
+      {
+        $set: {
+          owner,
+          acquired_at: now,
+          expires_at: new Date(now.getTime() + ttlSeconds * 1000)
+        }
+      },
+      { upsert: true, new: true }
+    );
+    return lock.owner === owner;
+  } catch (error) {
+    // Another owner holds it: the upsert collided with the unique name
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+LocksSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ name, owner });
+};
+
+module.exports = mongoose.model('Locks', LocksSchema);
@@ -18,7 +18,7 @@ const UsageSchema = new mongoose.Schema({
   },
   usage_type: {
     type: String,
-    enum: ['featured_image', 'inline', 'attachment', 'gallery', 'thumbnail'],
+    enum: ['featured_image', 'og_image', 'inline', 'attachment', 'gallery', 'thumbnail'],
     required: true
   }
 }, { _id: false });
@@ -34,6 +34,7 @@ const ThumbnailSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  file_path: String, // relative to the media root, like Media.file_path
   width: Number,
   height: Number,
   file_size: Number
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Main Revisions Schema: the state of a content item before an update
+const RevisionsSchema = new mongoose.Schema({
+  ID: {
+    type: String,
+    unique: true,
+    required: true,
+    default: () => crypto.randomBytes(20).toString('hex')
+  },
+
+  content_id: {
+    type: String,
+    required: true,
+    ref: 'Content',
+    index: true
+  },
+
+  // Version number the snapshot had while it was current
+  version: {
+    type: Number,
+    required: true
+  },
+
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  changelog: String,
+
+  created_by: {
+    type: String,
+    ref: 'User'
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: false, // We're handling timestamps manually
+  collection: 'revisions',
+  minimize: false
+});
+
+// Indexes
+RevisionsSchema.index({ content_id: 1, version: -1 });
+
+// Static methods
+RevisionsSchema.statics.findByContent = function(contentId) {
+  return this.find({ content_id: contentId })
+    .select('-snapshot')
+    .sort({ version: -1 });
+};
+
+module.exports = mongoose.model('Revisions', RevisionsSchema);
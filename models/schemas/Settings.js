@@ -171,7 +171,7 @@ SettingsSchema.statics.initializeDefaults = function() {
       label: 'Site Title',
       description: 'The main title of your website',
       validation: { required: true, max_length: 100 },
-      access_level: 'admin'
+      access_level: 'public'
     },
     {
       key: 'site_description',
@@ -181,7 +181,7 @@ SettingsSchema.statics.initializeDefaults = function() {
       label: 'Site Description',
       description: 'A brief description of your website',
       validation: { max_length: 160 },
-      access_level: 'admin'
+      access_level: 'public'
     },
     {
       key: 'default_meta_description',
@@ -191,7 +191,18 @@ SettingsSchema.statics.initializeDefaults = function() {
       label: 'Default Meta Description',
       description: 'Default meta description for pages without custom descriptions',
       validation: { max_length: 160 },
-      access_level: 'admin'
+      access_level: 'public'
+    },
+    {
+      key: 'robots_txt',
+      value: 'User-agent: *\nDisallow: /admin\nDisallow: /api/',
+      type: 'string',
+      category: 'seo',
+      label: 'robots.txt',
+      description: 'Served at /robots.txt. A Sitemap line is added unless one is present',
+      validation: { max_length: 5000 },
+      access_level: 'admin',
+      default_value: 'User-agent: *\nDisallow: /admin\nDisallow: /api/'
     },
     {
       key: 'posts_per_page',
@@ -230,19 +241,66 @@ SettingsSchema.statics.initializeDefaults = function() {
       label: 'SMTP Settings',
       description: 'Email server configuration',
       access_level: 'super_admin'
+    },
+    {
+      key: 'analytics_anonymize_ip',
+      value: true,
+      type: 'boolean',
+      category: 'analytics',
+      label: 'Anonymize IP Addresses',
+      description: 'Truncate visitor IP addresses before they are stored',
+      access_level: 'admin',
+      default_value: true
+    },
+    {
+      key: 'analytics_respect_dnt',
+      value: true,
+      type: 'boolean',
+      category: 'analytics',
+      label: 'Respect Do Not Track',
+      description: 'Do not record visitors who send Do-Not-Track or Global Privacy Control',
+      access_level: 'admin',
+      default_value: true
+    },
+    {
+      key: 'analytics_anonymize_after_days',
+      value: 30,
+      type: 'number',
+      category: 'analytics',
+      label: 'Anonymize After (days)',
+      description: 'Remove IP addresses and user agents from events older than this. 0 disables it',
+      validation: { required: true },
+      access_level: 'admin',
+      default_value: 30
+    },
+    {
+      key: 'analytics_retention_days',
+      value: 365,
+      type: 'number',
+      category: 'analytics',
+      label: 'Retention Period (days)',
+      description: 'Delete analytics events older than this. 0 keeps them forever',
+      validation: { required: true },
+      access_level: 'admin',
+      default_value: 365
     }
   ];
 
   // Insert default settings if they don't exist
-  return Promise.all(
-    defaultSettings.map(setting => 
+  return Promise.all([
+    ...defaultSettings.map(setting => 
       this.updateOne(
         { key: setting.key },
         { $setOnInsert: setting },
         { upsert: true }
       )
+    ),
+    // Every page template renders these; older installs stored them as 'admin'
+    this.updateMany(
+      { key: { $in: ['site_title', 'site_description', 'default_meta_description'] }, access_level: 'admin' },
+      { $set: { access_level: 'public' } }
     )
-  );
+  ]);
 };
 
 // Middleware
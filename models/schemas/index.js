@@ -4,6 +4,10 @@ const Settings = require('./Settings');
 const Sessions = require('./Sessions');
 const Media = require('./Media');
 const Analytics = require('./Analytics');
+const AnalyticsRollups = require('./AnalyticsRollups');
+const Locks = require('./Locks');
+const Revisions = require('./Revisions');
+const Comments = require('./Comments');
 
 module.exports = {
   Content,
@@ -11,5 +15,9 @@ module.exports = {
   Settings,
   Sessions,
   Media,
-  Analytics
+  Analytics,
+  AnalyticsRollups,
+  Locks,
+  Revisions,
+  Comments
 };
\ No newline at end of file
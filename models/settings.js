@@ -1,6 +1,31 @@
 const Base = require("./base");
 const { Settings } = require("./schemas");
 
+// Public settings are read on every page render, so they are cached. Writes
+// through any SettingsModel clear the cache; the TTL bounds how long other
+// processes sharing the database can serve stale values.
+const PUBLIC_CACHE_TTL = 60 * 1000;
+let publicCache = null;
+
+// Access levels visible to each level
+const ACCESS_LEVELS = {
+  'public': ['public'],
+  'admin': ['public', 'admin'],
+  'super_admin': ['public', 'admin', 'super_admin']
+};
+
+// Fields carried by an export bundle
+const EXPORT_FIELDS = [
+  'key', 'value', 'type', 'category', 'label', 'description',
+  'default_value', 'validation', 'access_level', 'editable'
+];
+
+// Compares field values, including subdocuments such as `validation`
+function sameValue(a, b) {
+  const plain = value => value && typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.stringify(plain(a)) === JSON.stringify(plain(b));
+}
+
 module.exports = class SettingsModel extends Base {
   constructor() {
     super(Settings);
@@ -36,11 +61,13 @@ module.exports = class SettingsModel extends Base {
         updated_at: new Date()
       };
 
-      return await this.model.findOneAndUpdate(
+      const updated = await this.model.findOneAndUpdate(
         { key },
         updateData,
         { new: true }
       );
+      this.clearCache();
+      return updated;
     } catch (error) {
       throw new Error(`Set setting failed: ${error.message}`);
     }
@@ -70,13 +97,7 @@ module.exports = class SettingsModel extends Base {
   // Get settings by access level
   async getSettingsByAccessLevel(accessLevel) {
     try {
-      const levels = {
-        'public': ['public'],
-        'admin': ['public', 'admin'],
-        'super_admin': ['public', 'admin', 'super_admin']
-      };
-      
-      const allowedLevels = levels[accessLevel] || ['public'];
+      const allowedLevels = ACCESS_LEVELS[accessLevel] || ['public'];
       
       return await this.getlist(
         { access_level: { $in: allowedLevels } },
@@ -90,6 +111,9 @@ module.exports = class SettingsModel extends Base {
   // Get public settings (for frontend)
   async getPublicSettings() {
     try {
+      if (publicCache && publicCache.expires > Date.now()) {
+        return { ...publicCache.settings };
+      }
       const settings = await this.getlist(
         { access_level: 'public' },
         { 
@@ -104,12 +128,17 @@ module.exports = class SettingsModel extends Base {
         publicSettings[setting.key] = setting.value;
       });
 
-      return publicSettings;
+      publicCache = { settings: publicSettings, expires: Date.now() + PUBLIC_CACHE_TTL };
+      return { ...publicSettings };
     } catch (error) {
       throw new Error(`Get public settings failed: ${error.message}`);
     }
   }
 
+  clearCache() {
+    publicCache = null;
+  }
+
   // Bulk update settings
   async bulkUpdateSettings(settingsData, userId = null) {
     try {
@@ -143,7 +172,7 @@ module.exports = class SettingsModel extends Base {
         throw new Error(`Setting '${key}' has no default value`);
       }
 
-      return await this.model.findOneAndUpdate(
+      const updated = await this.model.findOneAndUpdate(
         { key },
         { 
           value: setting.default_value,
@@ -151,6 +180,8 @@ module.exports = class SettingsModel extends Base {
         },
         { new: true }
       );
+      this.clearCache();
+      return updated;
     } catch (error) {
       throw new Error(`Reset setting to default failed: ${error.message}`);
     }
@@ -177,7 +208,9 @@ module.exports = class SettingsModel extends Base {
         ...settingData
       };
 
-      return await super.insert(newSetting);
+      const setting = await super.insert(newSetting);
+      this.clearCache();
+      return setting;
     } catch (error) {
       throw new Error(`Create setting failed: ${error.message}`);
     }
@@ -242,18 +275,21 @@ module.exports = class SettingsModel extends Base {
   // Initialize default settings (called during app startup)
   async initializeDefaults() {
     try {
-      return await this.model.initializeDefaults();
+      const result = await this.model.initializeDefaults();
+      this.clearCache();
+      return result;
     } catch (error) {
       throw new Error(`Initialize default settings failed: ${error.message}`);
     }
   }
 
-  // Export settings for backup
-  async exportSettings() {
+  // Export settings for backup, limited to what the access level may see
+  async exportSettings(accessLevel = 'super_admin') {
     try {
-      const settings = await this.getlist({}, { 
-        select: 'key value type category label description default_value validation access_level editable'
-      });
+      const settings = await this.getlist(
+        { access_level: { $in: ACCESS_LEVELS[accessLevel] || ['public'] } },
+        { select: EXPORT_FIELDS.join(' '), sort: { category: 1, key: 1 } }
+      );
       
       return settings.map(setting => ({
         key: setting.key,
@@ -272,6 +308,73 @@ module.exports = class SettingsModel extends Base {
     }
   }
 
+  // Dry run for importSettings: sorts the entries into added, changed,
+  // unchanged and skipped without writing anything. Entries above the access
+  // level, non-editable settings and invalid values are skipped. Only the
+  // `importable` entries should be passed on to importSettings.
+  async previewImport(settingsArray, overwriteExisting = false, accessLevel = 'super_admin') {
+    try {
+      const allowedLevels = ACCESS_LEVELS[accessLevel] || ['public'];
+      const existing = {};
+      (await this.getlist({ key: { $in: settingsArray.map(entry => entry.key) } }))
+        .forEach(setting => {
+          existing[setting.key] = setting;
+        });
+
+      const preview = { added: [], changed: [], unchanged: [], skipped: [], importable: [] };
+      const seen = new Set();
+      settingsArray.forEach(input => {
+        const entry = {};
+        EXPORT_FIELDS.forEach(field => {
+          if (input[field] !== undefined) entry[field] = input[field];
+        });
+        const current = existing[entry.key];
+        const skip = reason => preview.skipped.push({ key: entry.key, reason });
+
+        if (typeof entry.key !== 'string' || entry.key === '') {
+          return preview.skipped.push({ key: '(missing)', reason: 'Missing key' });
+        }
+        if (seen.has(entry.key)) return skip('Duplicate key in bundle');
+        seen.add(entry.key);
+        if (!allowedLevels.includes(entry.access_level || 'admin') ||
+            (current && !allowedLevels.includes(current.access_level))) {
+          return skip('Access level too high');
+        }
+        if (!current) {
+          const setting = new this.model({ access_level: 'admin', editable: true, ...entry });
+          const error = setting.validateSync();
+          if (error) return skip(`Invalid setting: ${error.message}`);
+          if (!setting.validateValue(entry.value)) return skip('Invalid value');
+          preview.added.push({ key: entry.key, value: entry.value });
+          preview.importable.push(entry);
+          return;
+        }
+        if (!overwriteExisting) return skip('Setting exists and overwrite disabled');
+        if (current.editable === false) return skip('Setting is not editable');
+
+        // Cast through the schema so defaults such as validation.options match
+        const incoming = new this.model(entry);
+        const changes = EXPORT_FIELDS
+          .filter(field => field !== 'key' && entry[field] !== undefined)
+          .filter(field => !sameValue(current[field], incoming[field]))
+          .map(field => ({ field, before: current[field], after: entry[field] }));
+        if (changes.length === 0) {
+          preview.unchanged.push({ key: entry.key });
+          return;
+        }
+        const merged = new this.model({ ...current.toObject(), ...entry });
+        const error = merged.validateSync();
+        if (error) return skip(`Invalid setting: ${error.message}`);
+        if (!merged.validateValue(merged.value)) return skip('Invalid value');
+        preview.changed.push({ key: entry.key, changes });
+        preview.importable.push(entry);
+      });
+      return preview;
+    } catch (error) {
+      throw new Error(`Import preview failed: ${error.message}`);
+    }
+  }
+
   // Import settings from backup
   async importSettings(settingsArray, overwriteExisting = false) {
     try {
@@ -312,6 +415,7 @@ module.exports = class SettingsModel extends Base {
         }
       }
       
+      this.clearCache();
       return results;
     } catch (error) {
       throw new Error(`Import settings failed: ${error.message}`);
@@ -1,6 +1,11 @@
 const Base = require("./base");
 const { User } = require("./schemas");
 const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config')();
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
 
 module.exports = class UserModel extends Base {
   constructor() {
@@ -145,18 +150,27 @@ module.exports = class UserModel extends Base {
       });
 
       if (user) {
-        const updateData = {
-          $inc: { 'activity.failed_login_attempts': 1 },
-          'activity.last_failed_login': new Date()
-        };
-        
-        await this.model.findOneAndUpdate({ ID: user.ID }, updateData);
+        await this.incrementFailedLogins(user.ID);
       }
     } catch (error) {
       throw new Error(`Record failed login failed: ${error.message}`);
     }
   }
 
+  // For callers that already hold the account. A username can match another
+  // account's email, so looking the identifier up again may find the wrong one.
+  async incrementFailedLogins(userId) {
+    try {
+      const updateData = {
+        $inc: { 'activity.failed_login_attempts': 1 },
+        'activity.last_failed_login': new Date()
+      };
+      await this.model.findOneAndUpdate({ ID: userId }, updateData);
+    } catch (error) {
+      throw new Error(`Record failed login failed: ${error.message}`);
+    }
+  }
+
   async resetFailedLogins(userId) {
     try {
       const updateData = {
@@ -290,6 +304,7 @@ module.exports = class UserModel extends Base {
   // Authentication helper methods
   async findForAuthentication(identifier) {
     try {
+      if (typeof identifier !== 'string') return null;
       return await this.model.findOne({
         $or: [
           { username: identifier },
@@ -301,6 +316,86 @@ module.exports = class UserModel extends Base {
     }
   }
 
+  async hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    try {
+      const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+      return { hash: derivedKey.toString('hex'), salt };
+    } catch (error) {
+      throw new Error(`Password hashing failed: ${error.message}`);
+    }
+  }
+
+  async verifyPassword(password, hash, salt) {
+    try {
+      const { hash: candidate } = await this.hashPassword(password, salt);
+      const expected = Buffer.from(hash, 'hex');
+      const actual = Buffer.from(candidate, 'hex');
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    } catch (error) {
+      throw new Error(`Password verification failed: ${error.message}`);
+    }
+  }
+
+  async setPassword(userId, password) {
+    try {
+      const { hash, salt } = await this.hashPassword(password);
+      return await this.changePassword(userId, hash, salt);
+    } catch (error) {
+      throw new Error(`Set password failed: ${error.message}`);
+    }
+  }
+
+  // Locked while the failure count is at the limit and the cooldown hasn't elapsed
+  getLockoutExpiry(user) {
+    const { max_failed_logins, lockout_minutes } = config.auth;
+    const activity = user.activity || {};
+
+    if ((activity.failed_login_attempts || 0) < max_failed_logins || !activity.last_failed_login) {
+      return null;
+    }
+
+    const expiresAt = new Date(activity.last_failed_login.getTime() + lockout_minutes * 60 * 1000);
+    return expiresAt > new Date() ? expiresAt : null;
+  }
+
+  // Returns { user } on success, or { user: null, reason, locked_until } on failure
+  async authenticate(identifier, password) {
+    try {
+      // Request bodies may be JSON, so either field can be an object or array
+      if (typeof identifier !== 'string' || typeof password !== 'string' || !identifier || !password) {
+        return { user: null, reason: 'missing_credentials' };
+      }
+
+      const user = await this.findForAuthentication(identifier);
+
+      if (!user) {
+        // Burn the same amount of work so response times don't reveal usernames
+        await this.hashPassword(password);
+        return { user: null, reason: 'invalid_credentials' };
+      }
+
+      const lockedUntil = this.getLockoutExpiry(user);
+      if (lockedUntil) {
+        return { user: null, reason: 'locked', locked_until: lockedUntil };
+      }
+
+      const valid = await this.verifyPassword(password, user.password_hash, user.salt);
+      if (!valid) {
+        await this.incrementFailedLogins(user.ID);
+        return { user: null, reason: 'invalid_credentials' };
+      }
+
+      if (user.status !== 'active') {
+        return { user: null, reason: 'inactive' };
+      }
+
+      await this.resetFailedLogins(user.ID);
+      return { user: await this.updateLastLogin(user.ID) };
+    } catch (error) {
+      throw new Error(`Authentication failed: ${error.message}`);
+    }
+  }
+
   async createEmailVerificationToken(userId) {
     try {
       const token = crypto.randomBytes(32).toString('hex');
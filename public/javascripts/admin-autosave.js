@@ -0,0 +1,46 @@
+// Periodically stores the admin editor's in-progress title and text through
+// the autosave API. Only runs on forms rendered with a data-autosave URL.
+(function () {
+  var INTERVAL = 30000;
+  var form = document.querySelector("form[data-autosave]");
+  if (!form || !window.fetch) return;
+
+  var status = document.querySelector(".autosave-status");
+  var lastSaved = serialize();
+
+  function serialize() {
+    return JSON.stringify({
+      title: form.elements.title.value,
+      content: form.elements.text.value,
+    });
+  }
+
+  function report(message) {
+    if (status) status.textContent = message;
+  }
+
+  function save() {
+    var body = serialize();
+    if (body === lastSaved) return;
+
+    fetch(form.getAttribute("data-autosave"), {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json" },
+      body: body,
+    })
+      .then(function (response) {
+        return response.json();
+      })
+      .then(function (result) {
+        if (!result.success) throw new Error(result.error.message);
+        lastSaved = body;
+        report("Draft autosaved at " + new Date(result.data.saved_at).toLocaleTimeString());
+      })
+      .catch(function () {
+        report("Autosave failed, your changes are not stored yet");
+      });
+  }
+
+  setInterval(save, INTERVAL);
+})();
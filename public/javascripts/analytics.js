@@ -0,0 +1,161 @@
+// First-party analytics: records the page view, scroll milestones, outbound
+// and download clicks and form submissions, and reports time on page and
+// scroll depth when the visitor leaves. Events are queued and sent in
+// batches to /api/analytics/collect. The visitor id lives in sessionStorage,
+// so it is per tab and no cookie is set.
+(function () {
+  var ENDPOINT = "/api/analytics/collect";
+  var FLUSH_DELAY = 5000;
+  var MAX_QUEUE = 20;
+  var DOWNLOAD_PATTERN = /\.(pdf|zip|docx?|xlsx?|pptx?|csv|mp3|mp4)$/i;
+
+  var script = document.currentScript;
+  var contentId = script && script.getAttribute("data-content-id");
+  var queue = [];
+  var timer = null;
+  var startedAt = Date.now();
+  var maxScroll = 0;
+  var milestones = [25, 50, 75, 100];
+
+  function randomId(length) {
+    var chars = "abcdefghijklmnopqrstuvwxyz0123456789";
+    var id = "";
+    var values = window.crypto && window.crypto.getRandomValues
+      ? window.crypto.getRandomValues(new Uint8Array(length))
+      : null;
+    for (var i = 0; i < length; i++) {
+      id += chars[(values ? values[i] : Math.floor(Math.random() * 256)) % chars.length];
+    }
+    return id;
+  }
+
+  function sessionId() {
+    try {
+      var id = sessionStorage.getItem("analytics.sid");
+      if (!id) {
+        id = randomId(24);
+        sessionStorage.setItem("analytics.sid", id);
+      }
+      return id;
+    } catch (e) {
+      return randomId(24);
+    }
+  }
+
+  var session = sessionId();
+  var viewId = randomId(16);
+
+  function event(type, extra) {
+    var data = {
+      type: type,
+      url: location.pathname + location.search,
+      title: document.title,
+      content_id: contentId || undefined,
+    };
+    for (var key in extra) data[key] = extra[key];
+    return data;
+  }
+
+  function send(events, leaving) {
+    var body = JSON.stringify({ session_id: session, events: events });
+    if (leaving && navigator.sendBeacon) {
+      navigator.sendBeacon(ENDPOINT, new Blob([body], { type: "application/json" }));
+      return;
+    }
+    if (!window.fetch) return;
+    fetch(ENDPOINT, {
+      method: "POST",
+      credentials: "same-origin",
+      keepalive: true,
+      headers: { "Content-Type": "application/json" },
+      body: body,
+    }).catch(function () {});
+  }
+
+  function flush(leaving) {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return;
+    send(queue.splice(0, queue.length), leaving);
+  }
+
+  function track(type, extra) {
+    queue.push(event(type, extra));
+    if (queue.length >= MAX_QUEUE) return flush();
+    if (!timer) timer = setTimeout(flush, FLUSH_DELAY);
+  }
+
+  function scrollDepth() {
+    var doc = document.documentElement;
+    var scrollable = doc.scrollHeight - window.innerHeight;
+    if (scrollable <= 0) return 100;
+    return Math.min(100, Math.round((window.pageYOffset / scrollable) * 100));
+  }
+
+  function loadTime() {
+    var timing = window.performance && performance.timing;
+    if (!timing || !timing.loadEventEnd) return undefined;
+    return timing.loadEventEnd - timing.navigationStart;
+  }
+
+  function onScroll() {
+    maxScroll = Math.max(maxScroll, scrollDepth());
+    while (milestones.length && maxScroll >= milestones[0]) {
+      track("scroll_milestone", { data: { depth: milestones.shift() } });
+    }
+  }
+
+  function onClick(e) {
+    var link = e.target.closest && e.target.closest("a[href]");
+    if (!link) return;
+    if (DOWNLOAD_PATTERN.test(link.pathname)) {
+      track("download", { data: { href: link.href } });
+    } else if (link.host !== location.host) {
+      track("click", { data: { href: link.href, outbound: true } });
+    }
+  }
+
+  function onSubmit(e) {
+    var form = e.target;
+    track("form_submit", { data: { action: form.getAttribute("action") || location.pathname } });
+    flush(true);
+  }
+
+  function onLeave() {
+    queue.push({
+      type: "engagement",
+      view_id: viewId,
+      duration: Math.round((Date.now() - startedAt) / 1000),
+      scroll_depth: Math.max(maxScroll, scrollDepth()),
+    });
+    flush(true);
+  }
+
+  function start() {
+    queue.push(
+      event("page_view", {
+        view_id: viewId,
+        referrer: document.referrer || undefined,
+        screen: screen.width + "x" + screen.height,
+        viewport: window.innerWidth + "x" + window.innerHeight,
+        load_time: loadTime(),
+      })
+    );
+    flush();
+    window.addEventListener("scroll", onScroll, { passive: true });
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("submit", onSubmit, true);
+    document.addEventListener("visibilitychange", function () {
+      if (document.visibilityState === "hidden") onLeave();
+    });
+  }
+
+  if (document.readyState === "complete") {
+    start();
+  } else {
+    // loadEventEnd is only set once the load handlers have run
+    window.addEventListener("load", function () {
+      setTimeout(start, 0);
+    });
+  }
+})();
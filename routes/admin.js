@@ -1,58 +1,690 @@
-const BaseController = require("./base"),
-  View = require("../views/base");
+const createError = require("http-errors"),
+  config = require("../config")(),
+  BaseController = require("./base"),
+  View = require("../views/base"),
+  upload = require("../middleware/upload"),
+  permissions = require("../lib/permissions"),
+  { isValidTimeZone, zonedTimeToUtc, utcToZonedTime } = require("../lib/timezone"),
+  { parseDateRange } = require("../lib/date-range"),
+  { lineChart, barChart } = require("../lib/charts"),
+  settingsForm = require("../lib/settings-form"),
+  { FORMATS } = require("../lib/markup"),
+  { findCause, MEDIA_ERRORS } = require("./api/response"),
+  { Content, User, Settings, Comments, Media, Analytics } = require("../models");
+
+const LOGIN_ERRORS = {
+  missing_credentials: "Please enter your username and password",
+  invalid_credentials: "Invalid username or password",
+  inactive: "This account is not active",
+};
+
+const CONTENT_TYPES = ["page", "blog", "service", "product", "custom"];
+const CONTENT_STATUSES = ["draft", "published", "scheduled", "archived"];
+const COMMENT_STATUSES = ["pending", "approved", "spam"];
+const MEDIA_PER_PAGE = 24;
+
+const parseSettingsUpload = upload({ max_file_size: 1024 * 1024, max_files: 1 }, [
+  { name: "bundle", maxCount: 1 },
+]);
+
+const parseUploads = upload(config.media, [
+  { name: "picture", maxCount: 1 },
+  { name: "files", maxCount: config.media.max_files },
+]);
+
+function options(values, selected) {
+  return values.map((value) => ({ value, selected: value === selected }));
+}
+
+// The form edits schedule times as wall-clock values in schedule.timezone;
+// they are stored as the instants those values refer to
+function parseWallClock(value, timeZone) {
+  if (!value) return null;
+  const date = new Date(value + "Z");
+  return isNaN(date.getTime()) ? null : zonedTimeToUtc(date, timeZone);
+}
+
+function formatWallClock(date, timeZone) {
+  return date ? utcToZonedTime(date, timeZone).toISOString().slice(0, 16) : "";
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
 module.exports = new (class AdminController extends BaseController {
   constructor() {
     super("admin");
   }
-  run(req, res, next) {
-    if (this.authorize(req)) {
-      req.session.fastdelivery = true;
-      req.session.save(function (err) {
-        this.del(req, function () {
-          this.form(req, res, function (formMarkup) {
-            this.list(function (listMarkup) {
-              v.render({
-                title: "Administration",
-                content: "Welcome to the control panel",
-                list: listMarkup,
-                form: formMarkup,
-              });
-            });
+  async run(req, res, next) {
+    try {
+      if (req.path === "/admin/logout") {
+        await req.session.destroy();
+        return res.redirect("/admin");
+      }
+      if (!this.isAuthenticated(req) && this.isLoginAttempt(req)) {
+        const error = await this.authorize(req);
+        if (error) {
+          const v = new View(res, "admin-login");
+          return v.render({
+            title: "Please login",
+            error: error,
           });
+        }
+        return res.redirect("/admin");
+      }
+      if (!this.isAuthenticated(req)) {
+        const v = new View(res, "admin-login");
+        return v.render({
+          title: "Please login",
         });
-        const v = new View(res, "admin");
-        v.render({
-          title: "Administration",
-          content: "Welcome to the control panel",
-        });
-      });
-    } else {
-      const v = new View(res, "admin-login");
+      }
+      if (req.path === "/admin/analytics") {
+        return await this.analytics(req, res);
+      }
+      if (req.path === "/admin/settings") {
+        return await this.settings(req, res);
+      }
+      if (req.path === "/admin/settings/export") {
+        return await this.exportSettings(req, res);
+      }
+      if (req.path === "/admin/settings/import") {
+        return await this.importSettings(req, res);
+      }
+      await new Promise((resolve, reject) =>
+        parseUploads(req, res, (err) => (err ? reject(err) : resolve()))
+      );
+      if (req.body && req.body.formsubmitted === "yes") {
+        await this.save(req);
+        return res.redirect("/admin");
+      }
+      if (req.query.action === "upload" && req.method === "POST") {
+        await this.uploadMedia(req);
+        return res.redirect("/admin?action=media");
+      }
+      // Deleting, restoring and moderating change state, so they only happen on POSTed forms
+      if (req.method === "POST" && req.body && req.body.action === "delete") {
+        await this.del(req);
+        return res.redirect("/admin");
+      }
+      if (req.method === "POST" && req.body && req.body.action === "restore") {
+        const content = await this.restore(req);
+        return res.redirect(`/admin?action=edit&id=${encodeURIComponent(content.ID)}`);
+      }
+      if (req.method === "POST" && req.body && req.body.action === "delete-media") {
+        await this.deleteMedia(req);
+        return res.redirect("/admin?action=media");
+      }
+      if (req.method === "POST" && req.body && req.body.action === "moderate") {
+        const comment = await this.moderate(req);
+        return res.redirect(
+          `/admin?action=comments&status=${encodeURIComponent(comment.status)}`
+        );
+      }
+      const v = new View(res, "admin");
       v.render({
-        title: "Please login",
+        title: "Administration",
+        content: "Welcome to the control panel",
+        user: req.session.user,
+        canModerate: permissions.can(req.session.user, "comments.moderate"),
+        canUseMedia: this.canUseMedia(req.session.user),
+        canViewAnalytics: permissions.can(req.session.user, "analytics.view"),
+        canManageSettings: permissions.can(req.session.user, "settings.manage"),
+        list: await this.list(req),
+        form: await this.panel(req),
       });
+    } catch (err) {
+      next(err);
+    }
+  }
+  panel(req) {
+    switch (req.query.action) {
+      case "revisions":
+        return this.revisions(req);
+      case "comments":
+        return this.comments(req);
+      case "media":
+        return this.media(req);
+      default:
+        return this.form(req);
     }
   }
-  authorize(req) {
+  isAuthenticated(req) {
+    return !!(req.session && req.session.user);
+  }
+  isLoginAttempt(req) {
     return (
-      (req.session &&
-        req.session.fastdelivery &&
-        req.session.fastdelivery === true) ||
-      (req.body &&
-        req.body.username === this.username &&
-        req.body.password === this.password)
+      req.method === "POST" &&
+      req.body &&
+      req.body.username !== undefined &&
+      req.body.password !== undefined
+    );
+  }
+  // Returns an error message for the login form, or null once the session is set
+  async authorize(req) {
+    const result = await User.authenticate(
+      req.body.username,
+      req.body.password
+    );
+    if (!result.user) {
+      if (result.reason === "locked") {
+        const minutes = Math.ceil((result.locked_until - Date.now()) / 60000);
+        return `Too many failed attempts. Try again in ${minutes} minute(s)`;
+      }
+      return LOGIN_ERRORS[result.reason] || LOGIN_ERRORS.invalid_credentials;
+    }
+    const user = result.user;
+    req.session.user = {
+      ID: user.ID,
+      username: user.username,
+      name: (user.profile && user.profile.display_name) || user.username,
+      email: user.email,
+      role: user.role,
+      permissions: user.permissions || [],
+    };
+    await req.session.save();
+    return null;
+  }
+  // Editors see everything, everyone else only their own content
+  async list(req) {
+    const user = req.session.user;
+    const records = permissions.can(user, "content.view_any")
+      ? await Content.getlist()
+      : await Content.findByAuthor(user.ID);
+    const items = records.map((record) => ({
+      ID: record.ID,
+      title: record.title,
+      type: record.type,
+      status: record.status,
+      picture: record.metadata && record.metadata.featured_image,
+      canEdit: permissions.canEditContent(user, record),
+      canDelete: permissions.canDeleteContent(user, record),
+    }));
+    return this.renderTemplate(req, "admin-list", { items });
+  }
+  async form(req) {
+    const user = req.session.user;
+    let record = {};
+    if (req.query.action === "edit" && req.query.id) {
+      const existing = await Content.findById(req.query.id);
+      if (!existing) throw createError(404);
+      if (!permissions.canEditContent(user, existing)) {
+        throw createError(403, "Insufficient permissions");
+      }
+      record = existing.toObject();
+    }
+    const schedule = record.schedule || {};
+    const canPublish = permissions.can(user, "content.publish_own") ||
+      permissions.can(user, "content.publish_any");
+    const autosave = record.ID ? Content.getPendingAutosave(record) : null;
+    const fields =
+      autosave && req.query.restore === "autosave" ? autosave : record;
+    const preferences = await this.editorPreferences(user);
+    return this.renderTemplate(req, "admin-record", {
+      ID: record.ID,
+      title: fields.title,
+      text: fields.content,
+      autosaveUrl:
+        record.ID && preferences.auto_save !== false
+          ? `/api/content/${encodeURIComponent(record.ID)}/autosave`
+          : null,
+      pendingAutosave:
+        autosave && fields !== autosave
+          ? { saved_at: new Date(autosave.saved_at).toISOString() }
+          : null,
+      picture: record.metadata && record.metadata.featured_image,
+      publish_at: formatWallClock(schedule.publish_at, schedule.timezone),
+      unpublish_at: formatWallClock(schedule.unpublish_at, schedule.timezone),
+      timezone: schedule.timezone || "UTC",
+      // New items start in the format of the user's preferred editor
+      formats: options(FORMATS, record.format || preferences.editor_type || "html"),
+      types: options(CONTENT_TYPES, record.type || "blog"),
+      statuses: options(
+        canPublish ? CONTENT_STATUSES : ["draft"],
+        record.status || "draft"
+      ),
+    });
+  }
+  // Autosave is on unless switched off here, and editor_type picks the
+  // format new items start in
+  async editorPreferences(user) {
+    const account = await User.findById(user.ID);
+    return (account && account.settings && account.settings.editor_preferences) || {};
+  }
+  async save(req) {
+    const user = req.session.user;
+    const timezone = isValidTimeZone(req.body.timezone) ? req.body.timezone : "UTC";
+    const data = {
+      title: req.body.title,
+      content: req.body.text,
+      format: FORMATS.includes(req.body.format) ? req.body.format : "html",
+      type: req.body.type,
+      status: req.body.status || "draft",
+      "schedule.publish_at": parseWallClock(req.body.publish_at, timezone),
+      "schedule.unpublish_at": parseWallClock(req.body.unpublish_at, timezone),
+      "schedule.timezone": timezone,
+    };
+    if (data.status === "scheduled" && !data["schedule.publish_at"]) {
+      throw createError(400, "Scheduled content needs a publish date");
+    }
+    if (req.body.ID) {
+      const existing = await Content.findById(req.body.ID);
+      if (!existing) throw createError(404);
+      if (
+        !permissions.canEditContent(user, existing) ||
+        !permissions.canChangeStatus(user, existing, data.status)
+      ) {
+        throw createError(403, "Insufficient permissions");
+      }
+      data["metadata.featured_image"] = await this.featuredImage(req);
+      return Content.update(req.body.ID, data, { userId: user.ID });
+    }
+    const author = { id: user.ID, name: user.name, email: user.email };
+    if (
+      !permissions.can(user, "content.create") ||
+      !permissions.canChangeStatus(user, { author, status: "draft" }, data.status)
+    ) {
+      throw createError(403, "Insufficient permissions");
+    }
+    data["metadata.featured_image"] = await this.featuredImage(req);
+    return Content.insert({ ...data, author });
+  }
+  async findEditable(req, ID = req.query.id) {
+    const existing = await Content.findById(ID);
+    if (!existing) throw createError(404);
+    if (!permissions.canEditContent(req.session.user, existing)) {
+      throw createError(403, "Insufficient permissions");
+    }
+    return existing;
+  }
+  // Revision list for one item, plus a field-level diff when two are picked
+  async revisions(req) {
+    const existing = await this.findEditable(req);
+    const revisions = await Content.getRevisions(existing.ID);
+    const from = req.query.from;
+    const to = req.query.to || "current";
+    let changes = null;
+    if (from) {
+      changes = (await Content.diffRevisions(existing.ID, from, to)).map(
+        (change) => ({
+          ...change,
+          before: formatValue(change.before),
+          after: formatValue(change.after),
+        })
+      );
+    }
+    return this.renderTemplate(req, "admin-revisions", {
+      ID: existing.ID,
+      title: existing.title,
+      version: (existing.version && existing.version.number) || 1,
+      revisions: revisions.map((revision) => ({
+        ID: revision.ID,
+        version: revision.version,
+        changelog: revision.changelog,
+        created_by: revision.created_by,
+        created_at: revision.created_at.toISOString(),
+        isFrom: revision.ID === from,
+        isTo: revision.ID === to,
+      })),
+      currentIsTo: to === "current",
+      changes,
+    });
+  }
+  async restore(req) {
+    const existing = await this.findEditable(req, String(req.body.id || ""));
+    return Content.restoreRevision(
+      existing.ID,
+      String(req.body.revision || ""),
+      req.session.user.ID
+    );
+  }
+  // Moderation queue, one comment status at a time
+  async comments(req) {
+    if (!permissions.can(req.session.user, "comments.moderate")) {
+      throw createError(403, "Insufficient permissions");
+    }
+    const status = COMMENT_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : "pending";
+    const comments = await Comments.findByStatus(status, { limit: 100 });
+    const titles = {};
+    for (const record of await Content.getlist({
+      ID: { $in: comments.map((comment) => comment.content_id) },
+    })) {
+      titles[record.ID] = record.title;
+    }
+    return this.renderTemplate(req, "admin-comments", {
+      statuses: COMMENT_STATUSES.map((value) => ({
+        value,
+        current: value === status,
+      })),
+      comments: comments.map((comment) => ({
+        ID: comment.ID,
+        author_name: comment.author_name,
+        author_email: comment.author_email,
+        body: comment.body,
+        isReply: !!comment.parent_id,
+        content_title: titles[comment.content_id] || comment.content_id,
+        created_at: comment.created_at.toISOString(),
+        canApprove: comment.status !== "approved",
+        canMarkSpam: comment.status !== "spam",
+      })),
+    });
+  }
+  async moderate(req) {
+    if (!permissions.can(req.session.user, "comments.moderate")) {
+      throw createError(403, "Insufficient permissions");
+    }
+    const comment = await Comments.findById(String(req.body.comment || ""));
+    if (!comment) throw createError(404);
+    const userId = req.session.user.ID;
+    switch (req.body.status) {
+      case "approved":
+        return Comments.approve(comment.ID, userId);
+      case "spam":
+        return Comments.markSpam(comment.ID, userId);
+      case "delete":
+        await Comments.remove(comment.ID);
+        return comment;
+      default:
+        throw createError(400, "Unknown moderation action");
+    }
+  }
+  async del(req) {
+    const existing = await Content.findById(String(req.body.id || ""));
+    if (!existing) throw createError(404);
+    if (!permissions.canDeleteContent(req.session.user, existing)) {
+      throw createError(403, "Insufficient permissions");
+    }
+    return Content.remove(existing.ID);
+  }
+  // Full-width page, unlike the panels next to the content list
+  async analytics(req, res) {
+    const user = req.session.user;
+    if (!permissions.can(user, "analytics.view")) {
+      throw createError(403, "Insufficient permissions");
+    }
+    const range = parseDateRange(req.query);
+    const stats = await Analytics.getStats(range);
+    new View(res, "admin-analytics").render({
+      title: "Analytics",
+      user,
+      stats,
+      charts: {
+        daily: lineChart(
+          stats.daily.map((day) => ({ label: day.date, value: day.views })),
+          { title: "Page views per day" }
+        ),
+        sources: barChart(
+          stats.traffic_sources.map((item) => ({ label: item.source, value: item.sessions })),
+          { title: "Sessions by traffic source" }
+        ),
+        devices: barChart(
+          stats.devices.map((item) => ({ label: item.device_type, value: item.sessions })),
+          { title: "Sessions by device" }
+        ),
+      },
+    });
+  }
+  // Form generated from the settings the user's access level allows
+  async settings(req, res) {
+    const user = req.session.user;
+    this.requireSettingsPermission(user);
+    const grouped = await Settings.getSettingsGroupedByCategory(
+      permissions.settingsAccessLevel(user)
+    );
+    let errors = {};
+    if (req.method === "POST") {
+      errors = await this.saveSettings(req, grouped);
+      if (Object.keys(errors).length === 0) {
+        return res.redirect("/admin/settings?saved=1");
+      }
+      res.status(400);
+    }
+    const submitted = req.method === "POST" ? req.body : {};
+    new View(res, "admin-settings").render({
+      title: "Settings",
+      user,
+      saved: req.query.saved === "1",
+      hasErrors: Object.keys(errors).length > 0,
+      categories: Object.keys(grouped)
+        .sort()
+        .map((category) => ({
+          name: category,
+          fields: grouped[category].map((setting) => {
+            const input = submitted[settingsForm.fieldName(setting.key)];
+            return settingsForm.toField(
+              setting,
+              setting.type === "boolean" && req.method === "POST" && setting.editable !== false
+                ? input || "false"
+                : input,
+              errors[setting.key]
+            );
+          }),
+        })),
+    });
+  }
+  requireSettingsPermission(user) {
+    if (!permissions.can(user, "settings.manage")) {
+      throw createError(403, "Insufficient permissions");
+    }
+  }
+  // JSON bundle of the settings the user's access level allows
+  async exportSettings(req, res) {
+    const user = req.session.user;
+    this.requireSettingsPermission(user);
+    const settings = await Settings.exportSettings(permissions.settingsAccessLevel(user));
+    const exportedAt = new Date().toISOString();
+    res.attachment(`settings-${exportedAt.slice(0, 10)}.json`);
+    res.type("json").send(
+      JSON.stringify({ version: 1, exported_at: exportedAt, settings }, null, 2)
+    );
+  }
+  // An uploaded bundle is only previewed. The preview page posts the bundle
+  // back with apply=yes, and the same checks run again before importing.
+  async importSettings(req, res) {
+    const user = req.session.user;
+    this.requireSettingsPermission(user);
+    if (req.method !== "POST") {
+      return res.redirect("/admin/settings");
+    }
+    await new Promise((resolve, reject) =>
+      parseSettingsUpload(req, res, (err) => (err ? reject(err) : resolve()))
+    );
+    const file = req.files && req.files.bundle && req.files.bundle[0];
+    const bundle = file ? file.buffer.toString("utf8") : req.body.bundle || "";
+    const overwrite = req.body.overwrite === "yes";
+    const view = new View(res, "admin-settings-import");
+
+    const parsed = settingsForm.parseBundle(bundle);
+    if (parsed.error) {
+      res.status(400);
+      return view.render({ title: "Import settings", user, error: parsed.error });
+    }
+    const preview = await Settings.previewImport(
+      parsed.settings,
+      overwrite,
+      permissions.settingsAccessLevel(user)
     );
+    let results = null;
+    if (req.body.apply === "yes") {
+      const imported = preview.importable.length > 0
+        ? await Settings.importSettings(preview.importable, overwrite)
+        : [];
+      results = imported.concat(
+        preview.skipped.map(({ key, reason }) => ({ key, success: false, error: reason }))
+      );
+    }
+    view.render({
+      title: "Import settings",
+      user,
+      bundle,
+      overwrite,
+      results,
+      preview: {
+        added: preview.added.map(({ key, value }) => ({ key, value: formatValue(value) })),
+        changed: preview.changed.map(({ key, changes }) => ({
+          key,
+          changes: changes.map(({ field, before, after }) => ({
+            field,
+            before: formatValue(before),
+            after: formatValue(after),
+          })),
+        })),
+        unchanged: preview.unchanged,
+        skipped: preview.skipped,
+        canApply: preview.importable.length > 0,
+      },
+    });
+  }
+  // Returns errors by key; nothing is saved unless every changed value is valid
+  async saveSettings(req, grouped) {
+    const errors = {};
+    const changes = {};
+    for (const setting of Object.values(grouped).flat()) {
+      if (setting.editable === false) continue;
+      const raw = req.body[settingsForm.fieldName(setting.key)];
+      if (raw === undefined && setting.type !== "boolean") continue;
+      const parsed = settingsForm.parseValue(setting, raw);
+      if (parsed.error) {
+        errors[setting.key] = parsed.error;
+        continue;
+      }
+      if (JSON.stringify(parsed.value) === JSON.stringify(setting.value)) continue;
+      const check = await Settings.validateSettingValue(setting.key, parsed.value);
+      if (!check.valid) {
+        errors[setting.key] = check.error;
+        continue;
+      }
+      changes[setting.key] = parsed.value;
+    }
+    if (Object.keys(errors).length > 0 || Object.keys(changes).length === 0) {
+      return errors;
+    }
+    const results = await Settings.bulkUpdateSettings(changes, req.session.user.ID);
+    results
+      .filter((result) => !result.success)
+      .forEach((result) => {
+        errors[result.key] = result.error;
+      });
+    return errors;
+  }
+  renderTemplate(req, template, data) {
+    return new Promise((resolve, reject) => {
+      req.app.render(template, data, (err, html) =>
+        err ? reject(err) : resolve(html)
+      );
+    });
   }
-  handleFileUpload(req) {
-    if (!req.files || !req.files.picture || !req.files.picture.name) {
+  // A newly uploaded picture goes through the media library; otherwise the
+  // current one is kept
+  async featuredImage(req) {
+    const file = req.files && req.files.picture && req.files.picture[0];
+    if (!file) {
       return req.body.currentPicture || "";
     }
-    const data = fs.readFileSync(req.files.picture.path);
-    const fileName = req.files.picture.name;
-    const uid = crypto.randomBytes(10).toString("hex");
-    const dir = __dirname + "/../public/uploads/" + uid;
-    fs.mkdirSync(dir, "0777");
-    fs.writeFileSync(dir + "/" + fileName, data);
-    return "/uploads/" + uid + "/" + fileName;
+    if (!this.canUseMedia(req.session.user)) {
+      throw createError(403, "Insufficient permissions");
+    }
+    const media = await this.withMediaErrors(() =>
+      Media.upload(file, { folder: "content", userId: req.session.user.ID })
+    );
+    return media.url;
+  }
+  // Media browser with filename search and tag, folder and type filters
+  async media(req) {
+    const user = req.session.user;
+    if (!this.canUseMedia(user)) {
+      throw createError(403, "Insufficient permissions");
+    }
+    const filters = {
+      q: req.query.q || "",
+      tag: req.query.tag || "",
+      folder: req.query.folder || "",
+      type: req.query.type || "",
+    };
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { documents, pagination } = await Media.browse(
+      permissions.can(user, "media.manage")
+        ? filters
+        : { ...filters, uploaded_by: user.ID },
+      page,
+      MEDIA_PER_PAGE
+    );
+    const link = (target) =>
+      "/admin?" +
+      new URLSearchParams({ action: "media", ...filters, page: target }).toString();
+    return this.renderTemplate(req, "admin-media", {
+      filters,
+      folders: options(await Media.getFolders(), filters.folder),
+      tags: options(await Media.getTags(), filters.tag),
+      types: options(["image", "document"], filters.type),
+      items: documents.map((media) => ({
+        ID: media.ID,
+        url: media.url,
+        thumbnail: media.getThumbnail("small"),
+        processing:
+          media.processing && media.processing.status !== "completed"
+            ? media.processing.status
+            : null,
+        original_filename: media.original_filename,
+        isImage: media.isImage,
+        size: media.fileSizeFormatted,
+        folder: media.folder,
+        tags: media.tags.join(", "),
+        usage: new Set(media.used_in.map((usage) => usage.content_id)).size,
+        canDelete:
+          media.used_in.length === 0 && permissions.canManageMedia(user, media),
+      })),
+      pagination: {
+        current: pagination.current_page,
+        pages: pagination.total_pages,
+        prev: pagination.has_prev_page ? link(pagination.current_page - 1) : null,
+        next: pagination.has_next_page ? link(pagination.current_page + 1) : null,
+      },
+    });
+  }
+  async uploadMedia(req) {
+    const user = req.session.user;
+    if (!this.canUseMedia(user)) {
+      throw createError(403, "Insufficient permissions");
+    }
+    const files = (req.files && req.files.files) || [];
+    if (files.length === 0) {
+      throw createError(400, "Please choose at least one file");
+    }
+    for (const file of files) {
+      await this.withMediaErrors(() =>
+        Media.upload(file, {
+          folder: req.body.folder,
+          tags: req.body.tags,
+          userId: user.ID,
+        })
+      );
+    }
+  }
+  async deleteMedia(req) {
+    const media = await Media.findById(String(req.body.id || ""));
+    if (!media) throw createError(404);
+    if (!permissions.canManageMedia(req.session.user, media)) {
+      throw createError(403, "Insufficient permissions");
+    }
+    return this.withMediaErrors(() => Media.remove(media.ID));
+  }
+  canUseMedia(user) {
+    return permissions.can(user, "media.upload") || permissions.can(user, "media.manage");
+  }
+  // Media problems the user can fix, such as a rejected upload or deleting a
+  // file that is still in use, show up as client errors instead of a 500 page
+  async withMediaErrors(action) {
+    try {
+      return await action();
+    } catch (err) {
+      const cause = findCause(err, (e) => MEDIA_ERRORS[e.code] !== undefined);
+      if (cause) throw createError(MEDIA_ERRORS[cause.code], cause.message);
+      throw err;
+    }
   }
 })();
@@ -0,0 +1,30 @@
+const BaseController = require("../base");
+const { Content, Analytics } = require("../../models");
+const { parseDateRange } = require("../../lib/date-range");
+const { success, handleError } = require("./response");
+
+module.exports = new (class AdminApiController extends BaseController {
+  constructor() {
+    super("api-admin");
+  }
+  // Content counts, recent activity and analytics for ?from=&to= (YYYY-MM-DD)
+  async stats(req, res) {
+    try {
+      const range = parseDateRange(req.query);
+      const [counts, recentActivity, analytics] = await Promise.all([
+        Content.getDashboardCounts(),
+        Content.getRecentActivity(),
+        Analytics.getStats(range),
+      ]);
+      success(res, {
+        stats: {
+          ...counts,
+          recent_activity: recentActivity,
+          analytics,
+        },
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+})();
@@ -0,0 +1,32 @@
+const BaseController = require("../base");
+const { Analytics } = require("../../models");
+const { success, failure, handleError } = require("./response");
+
+module.exports = new (class AnalyticsApiController extends BaseController {
+  constructor() {
+    super("api-analytics");
+  }
+  // Ingestion endpoint for public/javascripts/analytics.js. Open to anonymous
+  // visitors; anything it cannot use is counted as rejected, not an error.
+  async collect(req, res) {
+    try {
+      const body = req.body || {};
+      if (!Array.isArray(body.events)) {
+        return failure(res, 400, "VALIDATION_ERROR", "Invalid input data", [
+          "events must be an array",
+        ]);
+      }
+      const result = await Analytics.collect(body, {
+        ip: req.ip,
+        user_agent: req.get("user-agent"),
+        user_id: req.session && req.session.user && req.session.user.ID,
+        host: req.hostname,
+        do_not_track: req.get("DNT") === "1" || req.get("Sec-GPC") === "1",
+        received_at: new Date(),
+      });
+      success(res, result, 202);
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+})();
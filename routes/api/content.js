@@ -0,0 +1,227 @@
+const BaseController = require("../base");
+const { Content } = require("../../models");
+const permissions = require("../../lib/permissions");
+const { success, failure, handleError, pageOptions, paginated } = require("./response");
+
+const DEFAULT_LIMIT = 10;
+
+// Fields a client is allowed to write; everything else is managed by the models
+const WRITABLE_FIELDS = [
+  "type",
+  "title",
+  "slug",
+  "content",
+  "format",
+  "excerpt",
+  "status",
+  "visibility",
+  "tags",
+  "categories",
+  "metadata",
+  "blog_specific",
+  "page_specific",
+  "schedule",
+];
+
+function pick(body, fields) {
+  const data = {};
+  fields.forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+}
+
+module.exports = new (class ContentApiController extends BaseController {
+  constructor() {
+    super("api-content");
+  }
+  async list(req, res) {
+    try {
+      const query = this.buildQuery(req.query);
+      const user = req.session && req.session.user;
+
+      // Anyone sees published public content; signed-in users also see
+      // their own, and editors everything
+      const published = { status: "published", visibility: "public" };
+      let filter = query;
+      if (!user) {
+        filter = { ...query, ...published };
+      } else if (!permissions.can(user, "content.view_any")) {
+        filter = { ...query, $or: [{ "author.id": user.ID }, published] };
+      }
+      const result = await Content.paginate(filter, pageOptions(req.query, DEFAULT_LIMIT));
+      success(res, paginated(result));
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async get(req, res) {
+    try {
+      const content = await Content.findById(req.params.id);
+      if (!content || !permissions.canViewContent(req.session.user, content)) {
+        return failure(res, 404, "NOT_FOUND", "Content not found");
+      }
+      success(res, content);
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async create(req, res) {
+    try {
+      const user = req.session.user;
+      const data = pick(req.body || {}, WRITABLE_FIELDS);
+      if (!data.title) {
+        return failure(res, 400, "VALIDATION_ERROR", "Invalid input data", [
+          "Title is required",
+        ]);
+      }
+      data.author = { id: user.ID, name: user.name, email: user.email };
+      if (!permissions.canChangeStatus(user, { ...data, status: "draft" }, data.status)) {
+        return failure(res, 403, "FORBIDDEN", "Insufficient permissions");
+      }
+      const content = await Content.insert(data);
+      success(
+        res,
+        {
+          ID: content.ID,
+          slug: content.slug,
+          message: "Content created successfully",
+        },
+        201
+      );
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async update(req, res) {
+    try {
+      const user = req.session.user;
+      const fields = permissions.can(user, "content.edit_any")
+        ? [...WRITABLE_FIELDS, "author"]
+        : WRITABLE_FIELDS;
+      const data = pick(req.body || {}, fields);
+      if (Object.keys(data).length === 0) {
+        return failure(res, 400, "VALIDATION_ERROR", "Invalid input data", [
+          "No updatable fields provided",
+        ]);
+      }
+      const existing = await Content.findById(req.params.id);
+      if (!existing || !permissions.canViewContent(user, existing)) {
+        return failure(res, 404, "NOT_FOUND", "Content not found");
+      }
+      if (
+        !permissions.canEditContent(user, existing) ||
+        !permissions.canChangeStatus(user, existing, data.status)
+      ) {
+        return failure(res, 403, "FORBIDDEN", "Insufficient permissions");
+      }
+      const content = await Content.update(req.params.id, data, {
+        userId: user.ID,
+        changelog: req.body.changelog,
+      });
+      success(res, content);
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async remove(req, res) {
+    try {
+      const user = req.session.user;
+      const existing = await Content.findById(req.params.id);
+      if (!existing || !permissions.canViewContent(user, existing)) {
+        return failure(res, 404, "NOT_FOUND", "Content not found");
+      }
+      if (!permissions.canDeleteContent(user, existing)) {
+        return failure(res, 403, "FORBIDDEN", "Insufficient permissions");
+      }
+      await Content.remove(req.params.id);
+      success(res, { message: "Content deleted successfully" });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async revisions(req, res) {
+    try {
+      const existing = await this.findEditable(req, res);
+      if (!existing) return;
+      success(res, await Content.getRevisions(existing.ID));
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async diff(req, res) {
+    try {
+      const existing = await this.findEditable(req, res);
+      if (!existing) return;
+      if (!req.query.from) {
+        return failure(res, 400, "VALIDATION_ERROR", "Invalid input data", [
+          "The from revision is required",
+        ]);
+      }
+      const changes = await Content.diffRevisions(
+        existing.ID,
+        String(req.query.from),
+        req.query.to ? String(req.query.to) : "current"
+      );
+      success(res, { changes });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async restore(req, res) {
+    try {
+      const existing = await this.findEditable(req, res);
+      if (!existing) return;
+      const content = await Content.restoreRevision(
+        existing.ID,
+        req.params.revisionId,
+        req.session.user.ID
+      );
+      success(res, content);
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async autosave(req, res) {
+    try {
+      const existing = await this.findEditable(req, res);
+      if (!existing) return;
+      const body = req.body || {};
+      const content = await Content.autosave(
+        existing.ID,
+        {
+          title: body.title === undefined ? undefined : String(body.title),
+          content: body.content === undefined ? undefined : String(body.content),
+          excerpt: body.excerpt === undefined ? undefined : String(body.excerpt),
+        },
+        req.session.user.ID
+      );
+      success(res, { saved_at: content.version.auto_save.saved_at });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  // Loads the content for revision and autosave endpoints, answering 404/403 itself
+  async findEditable(req, res) {
+    const user = req.session.user;
+    const existing = await Content.findById(req.params.id);
+    if (!existing || !permissions.canViewContent(user, existing)) {
+      failure(res, 404, "NOT_FOUND", "Content not found");
+      return null;
+    }
+    if (!permissions.canEditContent(user, existing)) {
+      failure(res, 403, "FORBIDDEN", "Insufficient permissions");
+      return null;
+    }
+    return existing;
+  }
+  buildQuery(params) {
+    const query = {};
+    if (params.type) query.type = String(params.type);
+    if (params.status) query.status = String(params.status);
+    if (params.search) query.$text = { $search: String(params.search) };
+    return query;
+  }
+})();
@@ -0,0 +1,61 @@
+const express = require("express");
+const config = require("../../config")();
+const content = require("./content");
+const media = require("./media");
+const analytics = require("./analytics");
+const admin = require("./admin");
+const { failure } = require("./response");
+const { requireLogin, requirePermission } = require("../../middleware/authorize");
+const upload = require("../../middleware/upload");
+
+const router = express.Router();
+
+router.get("/content", (req, res) => content.list(req, res));
+router.get("/content/:id", (req, res) => content.get(req, res));
+router.post("/content", requirePermission("content.create"), (req, res) =>
+  content.create(req, res)
+);
+router.put("/content/:id", requireLogin, (req, res) => content.update(req, res));
+router.delete("/content/:id", requireLogin, (req, res) =>
+  content.remove(req, res)
+);
+router.post("/content/:id/autosave", requireLogin, (req, res) =>
+  content.autosave(req, res)
+);
+router.get("/content/:id/revisions", requireLogin, (req, res) =>
+  content.revisions(req, res)
+);
+router.get("/content/:id/revisions/diff", requireLogin, (req, res) =>
+  content.diff(req, res)
+);
+router.post("/content/:id/revisions/:revisionId/restore", requireLogin, (req, res) =>
+  content.restore(req, res)
+);
+
+const canUpload = requirePermission("media.upload", "media.manage");
+router.get("/media", canUpload, (req, res) => media.list(req, res));
+router.get("/media/:id", canUpload, (req, res) => media.get(req, res));
+router.post(
+  "/media",
+  canUpload,
+  upload(config.media, [{ name: "files", maxCount: config.media.max_files }]),
+  (req, res) => media.upload(req, res)
+);
+router.delete("/media/:id", canUpload, (req, res) => media.remove(req, res));
+
+router.post("/analytics/collect", (req, res) => analytics.collect(req, res));
+
+router.get("/admin/stats", requirePermission("analytics.view"), (req, res) =>
+  admin.stats(req, res)
+);
+
+// Unknown API endpoints answer in JSON instead of the HTML error page
+router.use((req, res) => failure(res, 404, "NOT_FOUND", "Endpoint not found"));
+
+// Same for errors raised by middleware, such as the multipart parser
+router.use((err, req, res, next) => {
+  if (!err.expose) return next(err);
+  failure(res, err.status, err.code || "BAD_REQUEST", err.message);
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const BaseController = require("../base");
+const { Media } = require("../../models");
+const permissions = require("../../lib/permissions");
+const { success, failure, handleError, pageOptions, paginated } = require("./response");
+
+const DEFAULT_LIMIT = 24;
+
+module.exports = new (class MediaApiController extends BaseController {
+  constructor() {
+    super("api-media");
+  }
+  // Without media.manage a user only browses their own uploads
+  async list(req, res) {
+    try {
+      const user = req.session.user;
+      const { page, limit } = pageOptions(req.query, DEFAULT_LIMIT);
+      const filters = {
+        q: req.query.q,
+        tag: req.query.tag,
+        folder: req.query.folder,
+        type: req.query.type,
+      };
+      if (!permissions.can(user, "media.manage")) {
+        filters.uploaded_by = user.ID;
+      }
+      success(res, paginated(await Media.browse(filters, page, limit)));
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async get(req, res) {
+    try {
+      const media = await Media.findById(req.params.id);
+      if (!media || !permissions.canManageMedia(req.session.user, media)) {
+        return failure(res, 404, "NOT_FOUND", "Media not found");
+      }
+      success(res, media);
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  // Every file is checked before the first one is stored, so a rejected file
+  // does not leave half of a batch behind
+  async upload(req, res) {
+    try {
+      const files = (req.files && req.files.files) || [];
+      if (files.length === 0) {
+        return failure(res, 400, "VALIDATION_ERROR", "Invalid input data", [
+          "At least one file is required",
+        ]);
+      }
+      files.forEach((file) => Media.validateUpload(file));
+
+      const body = req.body || {};
+      const created = [];
+      for (const file of files) {
+        created.push(
+          await Media.upload(file, {
+            folder: body.folder,
+            tags: body.tags,
+            alt_text: body.alt_text,
+            userId: req.session.user.ID,
+          })
+        );
+      }
+      success(res, created, 201);
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+  async remove(req, res) {
+    try {
+      const media = await Media.findById(req.params.id);
+      if (!media || !permissions.canManageMedia(req.session.user, media)) {
+        return failure(res, 404, "NOT_FOUND", "Media not found");
+      }
+      await Media.remove(media.ID);
+      success(res, { message: "Media deleted successfully" });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+})();
@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+// Walk the `cause` chain built up by the model layer until a predicate matches
+function findCause(error, predicate) {
+  let current = error;
+  while (current) {
+    if (predicate(current)) return current;
+    current = current.cause;
+  }
+  return null;
+}
+
+const MAX_LIMIT = 100;
+
+// Problems raised by the media model, by `code`
+const MEDIA_ERRORS = {
+  EMPTY_FILE: 400,
+  INVALID_FOLDER: 400,
+  MEDIA_IN_USE: 409,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+};
+
+function success(res, data, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function failure(res, status, code, message, details) {
+  const error = { code, message };
+  if (details && details.length > 0) {
+    error.details = details;
+  }
+  return res.status(status).json({
+    success: false,
+    error,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function toPositiveInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return isNaN(number) || number < 1 ? fallback : number;
+}
+
+// page and limit from the query string, for the model's paginate()
+function pageOptions(query, defaultLimit) {
+  return {
+    page: toPositiveInt(query.page, 1),
+    limit: Math.min(toPositiveInt(query.limit, defaultLimit), MAX_LIMIT),
+  };
+}
+
+// List responses: the items plus the documented pagination block
+function paginated({ documents, pagination }) {
+  return {
+    items: documents,
+    pagination: {
+      current_page: pagination.current_page,
+      total_pages: pagination.total_pages,
+      total_items: pagination.total_documents,
+      per_page: pagination.per_page,
+      has_next: pagination.has_next_page,
+      has_prev: pagination.has_prev_page,
+    },
+  };
+}
+
+// Translate model/Mongoose errors into the documented error format
+function handleError(res, error) {
+  const validation = findCause(
+    error,
+    (e) => e instanceof mongoose.Error.ValidationError
+  );
+  if (validation) {
+    const details = Object.values(validation.errors).map((e) => e.message);
+    return failure(res, 400, "VALIDATION_ERROR", "Invalid input data", details);
+  }
+
+  const cast = findCause(error, (e) => e instanceof mongoose.Error.CastError);
+  if (cast) {
+    return failure(res, 400, "VALIDATION_ERROR", "Invalid input data", [
+      `Invalid value for ${cast.path}`,
+    ]);
+  }
+
+  const duplicate = findCause(error, (e) => e.code === 11000);
+  if (duplicate) {
+    const field = Object.keys(duplicate.keyValue || {})[0];
+    if (field === "slug") {
+      return failure(
+        res,
+        409,
+        "DUPLICATE_SLUG",
+        "A content item with this slug already exists"
+      );
+    }
+    return failure(res, 409, "DUPLICATE_KEY", "A record with this key already exists");
+  }
+
+  const media = findCause(error, (e) => MEDIA_ERRORS[e.code] !== undefined);
+  if (media) {
+    return failure(res, MEDIA_ERRORS[media.code], media.code, media.message);
+  }
+
+  if (findCause(error, (e) => e.message === "Document not found")) {
+    return failure(res, 404, "NOT_FOUND", "Content not found");
+  }
+
+  if (findCause(error, (e) => e.message === "Revision not found")) {
+    return failure(res, 404, "NOT_FOUND", "Revision not found");
+  }
+
+  console.error(error);
+  return failure(res, 500, "INTERNAL_ERROR", "An unexpected error occurred");
+}
+
+module.exports = {
+  success,
+  failure,
+  handleError,
+  findCause,
+  pageOptions,
+  paginated,
+  MEDIA_ERRORS,
+};
@@ -1,71 +1,141 @@
-const BaseController = require("./base"),
-  View = require("../views/base");
-module.exports = new (class AdminController extends BaseController {
+const createError = require("http-errors"),
+  ContentController = require("./content"),
+  { findCause } = require("./api/response"),
+  View = require("../views/base"),
+  { Content, Settings, Comments } = require("../models");
+
+const DEFAULT_POSTS_PER_PAGE = 10;
+
+module.exports = new (class BlogController extends ContentController {
   constructor() {
     super("Blog");
-    this.content = null;
   }
-  run(req, res, next) {
-    model.setDB(req.db);
-    var self = this;
-    this.getContent(function () {
-      var v = new View(res, "blog");
-      v.render(self.content);
-    });
+  async run(req, res, next) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = await this.getPostsPerPage();
+      // Private and protected posts are only reachable through their own URL
+      const { documents, pagination } = await Content.getByTypePaginated(
+        "blog",
+        page,
+        limit,
+        { visibility: "public" }
+      );
+      if (page > 1 && page > pagination.total_pages) {
+        return next();
+      }
+      const v = new View(res, "blog");
+      v.render({
+        title: "Blog",
+        articles: await this.attachBodies(
+          await this.attachImages(documents.map((record) => this.toSummary(record))),
+          documents
+        ),
+        pagination: this.toPagination(req.path, pagination),
+        seo: this.toPageSeo(req, res, {
+          title: "Blog",
+          path: page > 1 ? `${req.path}?page=${page}` : req.path,
+        }),
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-  runArticle(req, res, next) {
-    model.setDB(req.db);
-    var self = this;
-    this.getArticle(req.params.id, function () {
-      var v = new View(res, "inner");
-      v.render(self.content);
-    });
+  async runArticle(req, res, next) {
+    try {
+      const content = await this.resolve(req, res);
+      if (!content) {
+        return res.headersSent ? null : next();
+      }
+      const [view] = await this.attachBodies(
+        await this.attachImages([this.toView(content)]),
+        [content]
+      );
+      const v = new View(res, "inner");
+      v.render({
+        ...view,
+        seo: this.toSeo(req, res, content),
+        comments: (await Comments.findApprovedThread(content.ID)).map((comment) =>
+          this.toComment(comment)
+        ),
+        commentCount: (content.metrics && content.metrics.comment_count) || 0,
+        commentsOpen: await this.commentsOpen(content),
+        commentPending: req.query.comment === "pending",
+        replyTo: typeof req.query.reply === "string" ? req.query.reply : null,
+        showComments: true,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-  getContent(callback) {
-    var self = this;
-    this.content = {};
-    model.getlist(
-      function (err, records) {
-        var blogArticles = "";
-        if (records.length > 0) {
-          for (var i = 0; (record = records[i]); i++) {
-            var record = records[i];
-            blogArticles +=
-              '\
-                        <section class="item">\
-                            <img src="' +
-              record.picture +
-              '" alt="" />\
-                            <h2>' +
-              record.title +
-              "</h2>\
-                            <p>" +
-              record.text +
-              '</p>\
-                            <br class="clear" />\
-                            <hr />\
-                        </section>\
-                    ';
-          }
-        }
-        self.content.blogArticles = blogArticles;
-        callback();
-      },
-      { type: "blog" }
-    );
+  async runComment(req, res, next) {
+    try {
+      const content = await Content.findBySlug(
+        String(req.params.slug || "").toLowerCase()
+      );
+      if (!content || content.type !== "blog" || !this.isVisible(req, content)) {
+        return next();
+      }
+      if (!(await this.commentsOpen(content))) {
+        return next(createError(403, "Comments are closed"));
+      }
+      const body = req.body || {};
+      await Comments.submit(content.ID, {
+        parent_id: body.parent_id || null,
+        author_name: body.author_name,
+        author_email: body.author_email,
+        body: body.body,
+        // Hidden honeypot field: people leave it empty, bots fill it in
+        status: body.website ? "spam" : "pending",
+        ip_address: req.ip,
+        user_agent: req.get("user-agent"),
+      });
+      res.redirect(303, `${content.url}?comment=pending#comments`);
+    } catch (err) {
+      if (findCause(err, (e) => e.name === "ValidationError")) {
+        return next(createError(400, "Please fill in your name, a valid email and a comment"));
+      }
+      if (findCause(err, (e) => e.message === "Parent comment not found")) {
+        return next(createError(400, "The comment you replied to does not exist"));
+      }
+      next(err);
+    }
   }
-  getArticle(ID, callback) {
-    var self = this;
-    this.content = {};
-    model.getlist(
-      function (err, records) {
-        if (records.length > 0) {
-          self.content = records[0];
-        }
-        callback();
-      },
-      { ID: ID }
-    );
-    ("/");
+  // Only what the public page shows; emails and request metadata stay out
+  toComment(comment) {
+    return {
+      ID: comment.ID,
+      author_name: comment.author_name,
+      body: comment.body,
+      created_at: new Date(comment.created_at).toISOString().slice(0, 10),
+      replies: comment.replies.map((reply) => this.toComment(reply)),
+    };
+  }
+  // Both the global setting and the post's own flag have to allow comments
+  async commentsOpen(content) {
+    if (content.status !== "published") return false;
+    if ((await Settings.getSetting("enable_comments")) === false) return false;
+    return !(content.blog_specific && content.blog_specific.comments_enabled === false);
+  }
+  async getPostsPerPage() {
+    const value = parseInt(await Settings.getSetting("posts_per_page"), 10);
+    return value > 0 ? value : DEFAULT_POSTS_PER_PAGE;
+  }
+  // Listing entries show the excerpt when there is one, and the rendered
+  // body (see attachBodies) otherwise
+  toSummary(record) {
+    return {
+      ...this.toView(record),
+      text: record.excerpt,
+    };
+  }
+  toPagination(path, pagination) {
+    const link = (page) => (page === 1 ? path : `${path}?page=${page}`);
+    return {
+      current: pagination.current_page,
+      pages: pagination.total_pages,
+      prev: pagination.has_prev_page ? link(pagination.current_page - 1) : null,
+      next: pagination.has_next_page ? link(pagination.current_page + 1) : null,
+    };
   }
 })();
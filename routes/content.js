@@ -0,0 +1,91 @@
+const BaseController = require("./base"),
+  permissions = require("../lib/permissions"),
+  { contentSeo, pageSeo } = require("../lib/seo"),
+  { Content, Media } = require("../models");
+
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+// Shared slug resolution for the public content controllers
+module.exports = class ContentController extends BaseController {
+  // Drafts and private items are only shown to users who may see them anyway
+  // (a preview); protected items need any signed-in user.
+  isVisible(req, content) {
+    const user = req.session && req.session.user;
+    if (content.status !== "published" || content.visibility === "private") {
+      return permissions.canViewContent(user, content);
+    }
+    if (content.visibility === "protected") {
+      return !!user;
+    }
+    return true;
+  }
+  // Resolves req.params.slug to a visible content item. Answers with a 301
+  // for old slugs and non-canonical paths, and returns null in that case or
+  // when nothing matches (the caller then moves on to the 404 handler).
+  async resolve(req, res) {
+    const slug = String(req.params.slug || "").toLowerCase();
+    if (!SLUG_PATTERN.test(slug)) return null;
+
+    const content = await Content.findBySlug(slug);
+    if (!content) {
+      const moved = await Content.findByPreviousSlug(slug);
+      if (moved && this.isVisible(req, moved)) {
+        res.redirect(301, moved.url);
+      }
+      return null;
+    }
+    if (!this.isVisible(req, content)) return null;
+    if (content.url !== req.path) {
+      res.redirect(301, content.url);
+      return null;
+    }
+    return content;
+  }
+  // Adds thumbnail data for the srcset helper to views whose picture is a
+  // processed media library image
+  async attachImages(views) {
+    const media = await Media.findByUrls(views.map((view) => view.picture));
+    views.forEach((view) => {
+      const image = media[view.picture];
+      if (image && image.processing && image.processing.thumbnails.length > 0) {
+        view.image = {
+          url: image.url,
+          width: image.image_metadata && image.image_metadata.width,
+          thumbnails: image.processing.thumbnails.map(({ url, width }) => ({ url, width })),
+        };
+      }
+    });
+    return views;
+  }
+  // Adds the sanitized body as `html` to views that have no `text` of their
+  // own; listing entries with an excerpt keep showing just that
+  async attachBodies(views, records) {
+    const bodies = await Promise.all(
+      records.map((record, index) => (views[index].text ? null : Content.renderBody(record)))
+    );
+    views.forEach((view, index) => {
+      if (bodies[index] !== null) view.html = bodies[index];
+    });
+    return views;
+  }
+  // Head tags (see templates/partials/head_meta.hbs) for a content item, or
+  // for a page such as a listing given as { title, description, path }
+  toSeo(req, res, content) {
+    return contentSeo(content, this.seoContext(req, res));
+  }
+  toPageSeo(req, res, page) {
+    return pageSeo(page, this.seoContext(req, res));
+  }
+  seoContext(req, res) {
+    return { site: res.locals.site, origin: `${req.protocol}://${req.get("host")}` };
+  }
+  // Template data shared by the inner page and blog article views
+  toView(content) {
+    return {
+      ID: content.ID,
+      title: content.title,
+      picture: content.metadata && content.metadata.featured_image,
+      url: content.url,
+    };
+  }
+};
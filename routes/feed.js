@@ -0,0 +1,83 @@
+const crypto = require("crypto"),
+  BaseController = require("./base"),
+  feeds = require("../lib/feeds"),
+  { Content } = require("../models");
+
+const FEED_ITEMS = 20;
+const SCOPES = { tag: "tags", category: "categories" };
+
+module.exports = new (class FeedController extends BaseController {
+  constructor() {
+    super("Feed");
+  }
+  // /blog/<format>, /blog/tag/<tag>/<format> and /blog/category/<name>/<format>
+  async run(req, res, next) {
+    try {
+      const format = feeds.FORMATS[req.params.format];
+      const field = SCOPES[req.params.scope];
+      if (!format || (req.params.scope && !field)) return next();
+
+      const filter = { visibility: "public" };
+      if (field) filter[field] = req.params.term;
+      const posts = await Content.findByType("blog", { filter, limit: FEED_ITEMS });
+      if (field && posts.length === 0) return next();
+
+      const origin = `${req.protocol}://${req.get("host")}`;
+      const feed = this.toFeed(posts, {
+        bodies: await Promise.all(posts.map((post) => Content.renderBody(post))),
+        title: this.feedTitle(res.locals.site, req.params.scope, req.params.term),
+        description: (res.locals.site && res.locals.site.description) || "",
+        home_url: origin + "/blog",
+        feed_url: origin + req.path,
+        origin,
+      });
+      const body = format.build(feed);
+
+      res.set({
+        "Content-Type": `${format.type}; charset=utf-8`,
+        "Cache-Control": "public, max-age=300",
+        "Last-Modified": feed.updated.toUTCString(),
+        ETag: `"${crypto.createHash("sha1").update(body).digest("hex")}"`,
+      });
+      // Answers If-None-Match and If-Modified-Since against the headers above
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      res.send(body);
+    } catch (err) {
+      next(err);
+    }
+  }
+  feedTitle(site, scope, term) {
+    const name = site && site.title ? `${site.title} blog` : "Blog";
+    if (scope === "tag") return `${name}: posts tagged "${term}"`;
+    if (scope === "category") return `${name}: ${term}`;
+    return name;
+  }
+  // options.bodies holds the rendered HTML of each post, in the same order
+  toFeed(posts, options) {
+    const items = posts.map((post, index) => {
+      const published = post.timestamps.published_at || post.timestamps.created_at;
+      return {
+        id: post.ID,
+        url: options.origin + post.url,
+        title: post.title,
+        summary: post.excerpt || "",
+        content: options.bodies[index] || "",
+        author: post.author && post.author.name,
+        categories: [...new Set([...(post.categories || []), ...(post.tags || [])])],
+        published,
+        updated: post.timestamps.updated_at || published,
+      };
+    });
+    return {
+      title: options.title,
+      description: options.description,
+      home_url: options.home_url,
+      feed_url: options.feed_url,
+      // An empty feed has nothing newer than the epoch
+      updated: new Date(Math.max(0, ...items.map((item) => item.updated.getTime()))),
+      items,
+    };
+  }
+})();
@@ -1,33 +1,44 @@
-const BaseController = require("./");
-const model = new (require("../models/content"))();
-module.exports = class HomeController extends BaseController {
+const ContentController = require("./content");
+const View = require("../views/base");
+const { Content } = require("../models");
+
+const HOME_ARTICLES = 3;
+
+module.exports = new (class HomeController extends ContentController {
   constructor() {
     super("Home");
-    this.content = null;
   }
-  run(req, res, next) {
-    model.setDB(req.db);
-    const self = this;
-    this.getContent(function () {
-      const v = new View(res, "home");
-      v.render(self.content);
-    });
+  async run(req, res, next) {
+    try {
+      const v = new View(res, "index");
+      const content = await this.getContent();
+      v.render({ ...content, seo: this.toPageSeo(req, res, { title: content.title, path: "/" }) });
+    } catch (err) {
+      next(err);
+    }
   }
-  getContent(callback) {
-    const self = this;
-    this.content = {};
-    model.getlist(
-      function (err, records) {
-        // ... storing data to content object
-        model.getlist(
-          function (err, records) {
-            // ... storing data to content object
-            callback();
-          },
-          { type: "blog" }
-        );
-      },
-      { type: "home" }
-    );
+  // The teaser comes from a published, public page with the slug "home"
+  async getContent() {
+    const [teaser, articles] = await Promise.all([
+      Content.findOne({ slug: "home", status: "published", visibility: "public" }),
+      Content.findByType("blog", { filter: { visibility: "public" }, limit: HOME_ARTICLES }),
+    ]);
+    return {
+      title: "Home",
+      bannerTitle: teaser ? teaser.title : "",
+      bannerText: teaser ? teaser.excerpt : "",
+      bannerHtml: teaser && !teaser.excerpt ? await Content.renderBody(teaser) : null,
+      articles: await this.attachBodies(
+        await this.attachImages(
+          articles.map((record) => ({
+            title: record.title,
+            text: record.excerpt,
+            picture: record.metadata && record.metadata.featured_image,
+            url: record.url,
+          }))
+        ),
+        articles
+      ),
+    };
   }
-};
+})();
@@ -1,30 +1,23 @@
-const BaseController = require("./");
-const model = new (require("../models/content"))();
-const View = new (require("../views/base"))();
-module.exports = class HomeController extends BaseController {
+const ContentController = require("./content");
+const View = require("../views/base");
+module.exports = new (class PageController extends ContentController {
   constructor() {
-    super("Home");
-    this.content = null;
+    super("Page");
   }
-  run(type, req, res, next) {
-    model.setDB(req.db);
-    const self = this;
-    this.getContent(type, function () {
+  async run(req, res, next) {
+    try {
+      const content = await this.resolve(req, res);
+      if (!content) {
+        return res.headersSent ? null : next();
+      }
+      const [view] = await this.attachBodies(
+        await this.attachImages([this.toView(content)]),
+        [content]
+      );
       const v = new View(res, "inner");
-      v.render(self.content);
-    });
+      v.render({ ...view, seo: this.toSeo(req, res, content) });
+    } catch (err) {
+      next(err);
+    }
   }
-  getContent(type, callback) {
-    const self = this;
-    this.content = {};
-    model.getlist(
-      function (err, records) {
-        if (records.length > 0) {
-          self.content = records[0];
-        }
-        callback();
-      },
-      { type: type }
-    );
-  }
-};
+})();
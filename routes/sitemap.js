@@ -0,0 +1,89 @@
+const BaseController = require("./base"),
+  { URLS_PER_SITEMAP, urlset, sitemapIndex } = require("../lib/sitemap"),
+  { Content, Settings } = require("../models");
+
+// Listing pages that are not content items themselves
+const STATIC_PATHS = ["/", "/blog"];
+
+const DEFAULT_ROBOTS = "User-agent: *\nDisallow: /admin\nDisallow: /api/\n";
+
+module.exports = new (class SitemapController extends BaseController {
+  constructor() {
+    super("Sitemap");
+  }
+  // /sitemap.xml: the sitemap itself, or an index once there are too many URLs
+  async run(req, res, next) {
+    try {
+      const pages = await this.countPages();
+      const origin = this.origin(req);
+      res.type("application/xml");
+      if (pages > 1) {
+        const sitemaps = [];
+        for (let page = 1; page <= pages; page++) {
+          sitemaps.push(`${origin}/sitemap-${page}.xml`);
+        }
+        return res.send(sitemapIndex(sitemaps));
+      }
+      res.send(urlset(await this.entries(1, origin)));
+    } catch (err) {
+      next(err);
+    }
+  }
+  // /sitemap-<n>.xml, only while the index is in use
+  async runPage(req, res, next) {
+    try {
+      const page = /^\d+$/.test(req.params.page) ? parseInt(req.params.page, 10) : 0;
+      const pages = await this.countPages();
+      if (pages < 2 || page < 1 || page > pages) return next();
+      res.type("application/xml");
+      res.send(urlset(await this.entries(page, this.origin(req))));
+    } catch (err) {
+      next(err);
+    }
+  }
+  // robots.txt from the robots_txt setting, always pointing at the sitemap
+  async runRobots(req, res, next) {
+    try {
+      const text = (await Settings.getSetting("robots_txt")) || DEFAULT_ROBOTS;
+      const sitemap = `Sitemap: ${this.origin(req)}/sitemap.xml`;
+      res.type("text/plain");
+      res.send(/^sitemap:/im.test(text) ? text : `${text.trimEnd()}\n\n${sitemap}\n`);
+    } catch (err) {
+      next(err);
+    }
+  }
+  origin(req) {
+    return `${req.protocol}://${req.get("host")}`;
+  }
+  async countPages() {
+    const total = STATIC_PATHS.length + (await Content.countSitemapEntries());
+    return Math.ceil(total / URLS_PER_SITEMAP);
+  }
+  // The static paths come first, then content in the order of the model query
+  async entries(page, origin) {
+    const first = (page - 1) * URLS_PER_SITEMAP;
+    const statics = STATIC_PATHS.slice(first, first + URLS_PER_SITEMAP).map((path) => ({
+      loc: origin + path,
+    }));
+    const skip = Math.max(first - STATIC_PATHS.length, 0);
+    const content = await Content.findSitemapEntries(skip, URLS_PER_SITEMAP - statics.length);
+    return statics.concat(
+      content
+        .filter((item) => this.isCanonical(item, origin))
+        .map((item) => ({
+          loc: origin + item.url,
+          lastmod: item.timestamps.updated_at || item.timestamps.published_at,
+        }))
+    );
+  }
+  // Items whose canonical URL points somewhere else are duplicates
+  isCanonical(item, origin) {
+    const canonical = item.metadata && item.metadata.canonical_url;
+    if (!canonical) return true;
+    try {
+      return new URL(canonical, origin).href === new URL(item.url, origin).href;
+    } catch (error) {
+      return true;
+    }
+  }
+})();
@@ -0,0 +1,186 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const { parseDateRange, eachDay } = require("../lib/date-range");
+const { lineChart, barChart } = require("../lib/charts");
+const AnalyticsModel = require("../models/analytics");
+const { AnalyticsRollups, Content } = require("../models/schemas");
+
+const NOW = new Date("2024-03-15T13:45:00Z");
+
+test("Date ranges default to the last 30 days", function () {
+  const range = parseDateRange({}, NOW);
+  assert.is(range.from, "2024-02-15");
+  assert.is(range.to, "2024-03-15");
+  assert.is(range.days, 30);
+  assert.is(range.end.toISOString(), "2024-03-15T23:59:59.999Z");
+  assert.is(eachDay(range).length, 30);
+});
+
+test("Date ranges are clamped to today and a year", function () {
+  assert.is(parseDateRange({ from: "2024-03-01", to: "2024-04-01" }, NOW).to, "2024-03-15");
+  assert.is(parseDateRange({ from: "2024-03-10", to: "2024-03-05" }, NOW).from, "2024-03-05");
+  assert.is(parseDateRange({ from: "2020-01-01", to: "2024-03-15" }, NOW).days, 366);
+  assert.is(parseDateRange({ from: "yesterday", to: "2024-02-30x" }, NOW).to, "2024-03-15");
+});
+
+test("Charts render escaped SVG", function () {
+  const line = lineChart([
+    { label: "2024-03-01", value: 4 },
+    { label: "2024-03-02", value: 8 },
+  ]);
+  assert.ok(line.startsWith("<svg"));
+  assert.ok(line.includes('d="M40,103 L790,10"'));
+  const bars = barChart([{ label: "<script>", value: 3 }]);
+  assert.ok(bars.includes("&lt;script&gt;"));
+  assert.not.ok(bars.includes("<script>"));
+  assert.ok(lineChart([]).endsWith("</svg>"));
+});
+
+test("Stats add up stored rollups and today's events", async function () {
+  const model = new AnalyticsModel();
+  const { findBetween } = AnalyticsRollups;
+  AnalyticsRollups.findBetween = async () => [
+    { date: "2024-03-12", dimension: "site", views: 0 },
+    { date: "2024-03-13", dimension: "site", views: 5, visitors: 2, bounces: 1, total_duration: 60, timed: 2 },
+    { date: "2024-03-13", dimension: "page", key: "/", views: 3, visitors: 2 },
+    { date: "2024-03-13", dimension: "page", key: "/about", views: 2, visitors: 1 },
+    { date: "2024-03-13", dimension: "source", key: "direct", views: 5, visitors: 2 },
+    { date: "2024-03-14", dimension: "site", views: 0 },
+  ];
+  model.buildRollups = async (date) => [
+    { date, dimension: "site", key: "", views: 2, visitors: 2, bounces: 2, total_duration: 0, timed: 0 },
+    { date, dimension: "page", key: "/about", views: 2, visitors: 2 },
+    { date, dimension: "source", key: "organic", views: 2, visitors: 2 },
+  ];
+
+  try {
+    const stats = await model.getStats(
+      parseDateRange({ from: "2024-03-12", to: "2024-03-15" }, NOW),
+      NOW
+    );
+    assert.equal(stats.range, { from: "2024-03-12", to: "2024-03-15" });
+    assert.is(stats.page_views, 7);
+    assert.is(stats.unique_visitors, 4);
+    assert.is(stats.bounce_rate, 75);
+    assert.is(stats.average_session_duration, 30);
+    assert.equal(stats.daily.map((day) => day.views), [0, 5, 0, 2]);
+    assert.equal(stats.top_pages[0], { page_url: "/about", views: 4, unique_visitors: 3 });
+    assert.equal(stats.traffic_sources.map((source) => source.source), ["direct", "organic"]);
+  } finally {
+    AnalyticsRollups.findBetween = findBetween;
+  }
+});
+
+test("Closed days without rollups are counted from the events, a few per request", async function () {
+  const model = new AnalyticsModel();
+  const { findBetween, replaceDay } = AnalyticsRollups;
+  const written = [];
+  const built = [];
+  AnalyticsRollups.findBetween = async () => [
+    { date: "2024-03-13", dimension: "site", views: 5, visitors: 2 },
+  ];
+  AnalyticsRollups.replaceDay = async (date) => written.push(date);
+  model.oldestEventDay = async () => "2024-03-01";
+  model.buildRollups = async (date) => (
+    built.push(date),
+    [{ date, dimension: "site", key: "", views: 1, visitors: 1, bounces: 0, total_duration: 0, timed: 0 }]
+  );
+
+  try {
+    const stats = await model.getStats(parseDateRange({ from: "2024-03-12", to: "2024-03-15" }, NOW), NOW);
+    assert.equal(stats.daily.map((day) => day.views), [1, 5, 1, 1]);
+    assert.is(stats.page_views, 8);
+    assert.equal(stats.pending_days, []);
+
+    built.length = 0;
+    const month = await model.getStats(parseDateRange({ from: "2024-02-20", to: "2024-03-15" }, NOW), NOW);
+    // Today first, then the latest 7 of the 13 closed days since the first event
+    assert.equal(built, ["2024-03-15", "2024-03-07", "2024-03-08", "2024-03-09", "2024-03-10", "2024-03-11", "2024-03-12", "2024-03-14"]);
+    assert.equal(month.pending_days, ["2024-03-01", "2024-03-02", "2024-03-03", "2024-03-04", "2024-03-05", "2024-03-06"]);
+    assert.equal(written, []);
+  } finally {
+    AnalyticsRollups.findBetween = findBetween;
+    AnalyticsRollups.replaceDay = replaceDay;
+  }
+});
+
+test("Popular content links to the content item", async function () {
+  const model = new AnalyticsModel();
+  const { find } = Content;
+  const post = { ID: "abc123", title: "Hello", type: "blog", slug: "hello", content: "Body" };
+  // Only the selected fields come back, as with a real query
+  Content.find = () => ({
+    select: async (fields) => {
+      const selected = {};
+      fields.split(" ").forEach((field) => (selected[field] = post[field]));
+      return [new Content(selected)];
+    },
+  });
+  model.buildRollups = async (date) => [
+    { date, dimension: "site", key: "", views: 3, visitors: 2 },
+    { date, dimension: "page", key: "/blog/hello", content_id: "abc123", views: 3, visitors: 2 },
+  ];
+
+  try {
+    const stats = await model.getStats(parseDateRange({ from: "2024-03-15", to: "2024-03-15" }, NOW), NOW);
+    assert.is(stats.popular_content.length, 1);
+    assert.is(stats.popular_content[0].title, "Hello");
+    assert.is(stats.popular_content[0].url, "/blog/hello");
+  } finally {
+    Content.find = find;
+  }
+});
+
+test("Closed days without a rollup are rolled up, oldest first", async function () {
+  const model = new AnalyticsModel();
+  const { findDates, replaceDay } = AnalyticsRollups;
+  const stored = [];
+  AnalyticsRollups.findDates = async () => ["2024-03-11", "2024-03-13"];
+  AnalyticsRollups.replaceDay = async (date, rows) => stored.push({ date, rows });
+  model.oldestEventDay = async () => "2024-03-10";
+  model.aggregate = async () => [];
+
+  try {
+    assert.equal(await model.rollupPending(NOW), ["2024-03-10", "2024-03-12", "2024-03-14"]);
+    assert.equal(stored[0].rows, [
+      { date: "2024-03-10", dimension: "site", key: "", views: 0, visitors: 0, bounces: 0, total_duration: 0, timed: 0 },
+    ]);
+    assert.equal(await model.rollupPending(NOW, 1), ["2024-03-10"]);
+    model.oldestEventDay = async () => null;
+    assert.equal(await model.rollupPending(NOW), []);
+  } finally {
+    AnalyticsRollups.findDates = findDates;
+    AnalyticsRollups.replaceDay = replaceDay;
+  }
+});
+
+test("Rolling up a day again upserts its rows and drops stale ones", async function () {
+  const calls = [];
+  AnalyticsRollups.bulkWrite = async (ops, options) => calls.push(["bulkWrite", ops, options]);
+  AnalyticsRollups.deleteMany = async (filter) => calls.push(["deleteMany", filter]);
+  try {
+    await AnalyticsRollups.replaceDay("2024-03-13", [
+      { dimension: "site", key: "", views: 5 },
+      { dimension: "page", key: "/about", views: 2 },
+    ]);
+    const [[, ops, options], [, filter]] = calls;
+    assert.equal(
+      ops.map(({ replaceOne }) => [replaceOne.filter, replaceOne.upsert]),
+      [
+        [{ date: "2024-03-13", dimension: "site", key: "" }, true],
+        [{ date: "2024-03-13", dimension: "page", key: "/about" }, true],
+      ]
+    );
+    assert.is(options.ordered, false);
+    assert.equal(filter, {
+      date: "2024-03-13",
+      $nor: [{ dimension: "site", key: "" }, { dimension: "page", key: "/about" }],
+    });
+  } finally {
+    delete AnalyticsRollups.bulkWrite;
+    delete AnalyticsRollups.deleteMany;
+  }
+});
+
+test.run();
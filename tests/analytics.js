@@ -0,0 +1,168 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const classifyReferrer = require("../lib/referrer");
+const anonymizeIp = require("../lib/ip");
+const AnalyticsModel = require("../models/analytics");
+
+const CHROME =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+const SESSION = "abcdefghijklmnop1234";
+
+function context(overrides = {}) {
+  return {
+    ip: "203.0.113.7",
+    user_agent: CHROME,
+    host: "example.com",
+    received_at: new Date("2024-03-01T10:00:00Z"),
+    ...overrides,
+  };
+}
+
+function createModel(privacy = {}) {
+  const model = new AnalyticsModel();
+  model.getPrivacySettings = async () => ({
+    anonymize_ip: true,
+    respect_dnt: true,
+    anonymize_after_days: 30,
+    retention_days: 365,
+    ...privacy,
+  });
+  return model;
+}
+
+test("Referrers are classified by source", function () {
+  const source = (referrer, page = "/") => classifyReferrer(referrer, page, "example.com").source;
+  assert.is(source(undefined), "direct");
+  assert.is(source("https://example.com/blog"), "direct");
+  assert.is(source("https://www.google.co.uk/"), "organic");
+  assert.is(source("https://t.co/abc"), "social");
+  assert.is(source("https://mail.google.com/"), "email");
+  assert.is(source("https://someblog.net/post"), "referral");
+  assert.is(source("https://www.google.com/", "/?utm_medium=cpc"), "paid");
+  assert.is(source(undefined, "/?gclid=123"), "paid");
+});
+
+test("UTM parameters and search terms are kept", function () {
+  const referrer = classifyReferrer(
+    "https://duckduckgo.com/?q=fast+delivery",
+    "/blog?utm_source=newsletter&utm_medium=email&utm_campaign=spring",
+    "example.com"
+  );
+  assert.is(referrer.source, "email");
+  assert.is(referrer.campaign, "spring");
+  assert.is(referrer.domain, "duckduckgo.com");
+  assert.is(referrer.url, "https://duckduckgo.com/");
+  const organic = classifyReferrer("https://duckduckgo.com/?q=fast+delivery", "/", "example.com");
+  assert.is(organic.term, "fast delivery");
+});
+
+test("Page views carry device, referrer and view id", function () {
+  const model = new AnalyticsModel();
+  const doc = model.buildEvent(
+    {
+      type: "page_view",
+      view_id: "view12345678",
+      url: "https://example.com/blog/post?page=2",
+      referrer: "https://www.bing.com/search?q=x",
+      screen: "1920x1080",
+      content_id: "not valid!",
+    },
+    context({ session_id: SESSION })
+  );
+  assert.is(doc.page_url, "/blog/post");
+  assert.is(doc.content_id, undefined);
+  assert.equal(doc.event_data, { view_id: "view12345678" });
+  assert.is(doc.device.type, "desktop");
+  assert.is(doc.device.browser, "Chrome");
+  assert.is(doc.device.os, "Windows");
+  assert.is(doc.device.screen_resolution, "1920x1080");
+  assert.is(doc.referrer.source, "organic");
+  assert.is(model.buildEvent({ type: "made_up", url: "/" }, context()), null);
+});
+
+test("Batches are inserted together and engagement updates the page view", async function () {
+  const model = createModel();
+  const inserted = [];
+  const updates = [];
+  model.bulkInsert = async (documents) => inserted.push(...documents);
+  model.model = { updateOne: async (filter, update) => updates.push({ filter, update }) };
+
+  const result = await model.collect(
+    {
+      session_id: SESSION,
+      events: [
+        { type: "page_view", view_id: "view12345678", url: "/" },
+        { type: "scroll_milestone", url: "/", data: { depth: 50, nested: { no: 1 } } },
+        { type: "engagement", view_id: "view12345678", duration: 42.4, scroll_depth: 140 },
+        { type: "bogus", url: "/" },
+      ],
+    },
+    context()
+  );
+  assert.equal(result, { accepted: 3, rejected: 1 });
+  assert.is(inserted.length, 2);
+  assert.equal(inserted[1].event_data, { depth: 50 });
+  assert.equal(updates[0].filter["event_data.view_id"], "view12345678");
+  assert.equal(updates[0].update, { $max: { "metrics.duration": 42, "metrics.scroll_depth": 100 } });
+});
+
+test("Bots and requests without a session are ignored", async function () {
+  const model = createModel();
+  model.bulkInsert = async () => assert.unreachable("nothing should be stored");
+  const events = [{ type: "page_view", url: "/" }];
+  assert.equal(
+    await model.collect({ session_id: SESSION, events }, context({ user_agent: "Googlebot/2.1" })),
+    { accepted: 0, rejected: 1 }
+  );
+  assert.equal(await model.collect({ events }, context()), { accepted: 0, rejected: 1 });
+});
+
+test("IP addresses are truncated", function () {
+  assert.is(anonymizeIp("203.0.113.7"), "203.0.113.0");
+  assert.is(anonymizeIp("::ffff:203.0.113.7"), "::ffff:203.0.113.0");
+  assert.is(anonymizeIp("2001:0db8:85a3:0000:0000:8a2e:0370:7334"), "2001:db8:85a3::");
+  assert.is(anonymizeIp("2001:db8::1"), "2001:db8:0::");
+  assert.is(anonymizeIp("not an ip"), "unknown");
+  assert.is(anonymizeIp(undefined), "unknown");
+});
+
+test("Privacy settings apply at ingest", async function () {
+  const events = [{ type: "page_view", url: "/" }];
+  const inserted = [];
+  const model = createModel();
+  model.bulkInsert = async (documents) => inserted.push(...documents);
+  await model.collect({ session_id: SESSION, events }, context());
+  assert.is(inserted[0].visitor.ip_address, "203.0.113.0");
+  assert.equal(
+    await model.collect({ session_id: SESSION, events }, context({ do_not_track: true })),
+    { accepted: 0, rejected: 1 }
+  );
+  assert.is(inserted.length, 1);
+
+  const open = createModel({ anonymize_ip: false, respect_dnt: false });
+  open.bulkInsert = async (documents) => inserted.push(...documents);
+  await open.collect({ session_id: SESSION, events }, context({ do_not_track: true }));
+  assert.is(inserted[1].visitor.ip_address, "203.0.113.7");
+});
+
+test("Retention anonymizes and purges old events", async function () {
+  const model = new AnalyticsModel();
+  const calls = [];
+  model.model = {
+    anonymizeOldData: async (days) => calls.push(["anonymize", days]) && { modifiedCount: 4 },
+    cleanupOldData: async (days) => calls.push(["cleanup", days]) && { deletedCount: 2 },
+  };
+  assert.equal(
+    await model.applyRetention({ anonymize_after_days: 30, retention_days: 365 }),
+    { anonymized: 4, deleted: 2 }
+  );
+  assert.equal(calls, [["anonymize", 30], ["cleanup", 365]]);
+  assert.equal(
+    await model.applyRetention({ anonymize_after_days: 0, retention_days: 0 }),
+    { anonymized: 0, deleted: 0 }
+  );
+  assert.is(calls.length, 2);
+});
+
+test.run();
@@ -0,0 +1,134 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const { Content } = require("../models");
+const ContentApi = require("../routes/api/content");
+
+const contributor = { ID: "u1", name: "Con", email: "con@example.com", role: "contributor" };
+const editor = { ID: "u2", name: "Ed", email: "ed@example.com", role: "editor" };
+
+function responseMockup() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function request(user, extra = {}) {
+  return { session: user ? { user } : {}, query: {}, params: {}, body: {}, ...extra };
+}
+
+// Handlers answer through res and return nothing
+async function call(handler, req) {
+  const res = responseMockup();
+  await handler.call(ContentApi, req, res);
+  return res;
+}
+
+// Stubs methods on the Content instance for one test, then puts the
+// prototype methods back
+async function withContent(stubs, run) {
+  Object.assign(Content, stubs);
+  try {
+    await run();
+  } finally {
+    Object.keys(stubs).forEach((name) => delete Content[name]);
+  }
+}
+
+const draft = { ID: "c1", title: "Draft", status: "draft", visibility: "public", author: { id: "u1" } };
+
+test("Listing shows published public content to everyone and own content when signed in", async function () {
+  const filters = [];
+  await withContent(
+    {
+      paginate: async (filter) => (
+        filters.push(filter),
+        { documents: [], pagination: { current_page: 1, total_pages: 0, total_documents: 0, per_page: 10 } }
+      ),
+    },
+    async function () {
+      const published = { status: "published", visibility: "public" };
+      await call(ContentApi.list, request(null, { query: { type: "blog" } }));
+      await call(ContentApi.list, request(contributor, { query: { type: "blog" } }));
+      const res = await call(ContentApi.list, request(editor, { query: { type: "blog" } }));
+      assert.equal(filters, [
+        { type: "blog", ...published },
+        { type: "blog", $or: [{ "author.id": "u1" }, published] },
+        { type: "blog" },
+      ]);
+      assert.is(res.statusCode, 200);
+      assert.equal(res.body.data.items, []);
+      assert.is(res.body.data.pagination.total_items, 0);
+    }
+  );
+});
+
+test("Creating needs a title and publish rights for a published item", async function () {
+  const inserted = [];
+  await withContent(
+    { insert: async (data) => (inserted.push(data), { ID: "c2", slug: "hello" }) },
+    async function () {
+      let res = await call(ContentApi.create, request(contributor, { body: {} }));
+      assert.is(res.statusCode, 400);
+
+      res = await call(ContentApi.create, request(contributor, { body: { title: "Hello", status: "published" } }));
+      assert.is(res.statusCode, 403);
+
+      res = await call(ContentApi.create, request(contributor, { body: { title: "Hello", views: 5, author: { id: "u9" } } }));
+      assert.is(res.statusCode, 201);
+      assert.equal(res.body.data.ID, "c2");
+      assert.equal(inserted, [
+        { title: "Hello", author: { id: "u1", name: "Con", email: "con@example.com" } },
+      ]);
+    }
+  );
+});
+
+test("Updating checks edit and publish rights on the stored item", async function () {
+  const updates = [];
+  await withContent(
+    {
+      findById: async (ID) => (ID === "c1" ? draft : null),
+      update: async (ID, data, options) => (updates.push([ID, data, options.userId]), { ID, ...data }),
+    },
+    async function () {
+      let res = await call(ContentApi.update, request(contributor, { params: { id: "missing" }, body: { title: "New" } }));
+      assert.is(res.statusCode, 404);
+
+      res = await call(ContentApi.update, request(contributor, { params: { id: "c1" }, body: { status: "published" } }));
+      assert.is(res.statusCode, 403);
+
+      res = await call(ContentApi.update, request(contributor, { params: { id: "c1" }, body: { title: "New", author: { id: "u9" } } }));
+      assert.is(res.statusCode, 200);
+      assert.equal(updates, [["c1", { title: "New" }, "u1"]]);
+    }
+  );
+});
+
+test("Deleting is limited to items the user may delete", async function () {
+  const removed = [];
+  await withContent(
+    {
+      findById: async (ID) => (ID === "c1" ? draft : null),
+      remove: async (ID) => removed.push(ID),
+    },
+    async function () {
+      const other = { ID: "u3", role: "author" };
+      let res = await call(ContentApi.remove, request(other, { params: { id: "c1" } }));
+      assert.is(res.statusCode, 404);
+
+      res = await call(ContentApi.remove, request(contributor, { params: { id: "c1" } }));
+      assert.is(res.statusCode, 200);
+      assert.equal(removed, ["c1"]);
+    }
+  );
+});
+
+test.run();
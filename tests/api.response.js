@@ -0,0 +1,88 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+const mongoose = require("mongoose");
+
+const { handleError, pageOptions, paginated } = require("../routes/api/response");
+
+function responseMockup() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test("Validation errors keep Mongoose details through the model chain", function () {
+  const validation = new mongoose.Error.ValidationError();
+  validation.addError(
+    "title",
+    new mongoose.Error.ValidatorError({ message: "Title is too long", path: "title" })
+  );
+  const wrapped = new Error("Content creation failed", {
+    cause: new Error("Insert failed", { cause: validation }),
+  });
+
+  const res = handleError(responseMockup(), wrapped);
+  assert.is(res.statusCode, 400);
+  assert.is(res.body.success, false);
+  assert.is(res.body.error.code, "VALIDATION_ERROR");
+  assert.equal(res.body.error.details, ["Title is too long"]);
+  assert.ok(res.body.timestamp);
+});
+
+test("Duplicate slugs map to a conflict", function () {
+  const duplicate = Object.assign(new Error("E11000"), {
+    code: 11000,
+    keyValue: { slug: "taken" },
+  });
+  const res = handleError(responseMockup(), new Error("wrapped", { cause: duplicate }));
+  assert.is(res.statusCode, 409);
+  assert.is(res.body.error.code, "DUPLICATE_SLUG");
+});
+
+test("Missing documents map to not found", function () {
+  const res = handleError(
+    responseMockup(),
+    new Error("Update failed", { cause: new Error("Document not found") })
+  );
+  assert.is(res.statusCode, 404);
+  assert.is(res.body.error.code, "NOT_FOUND");
+});
+
+test("Paging parameters fall back to the defaults and are capped", function () {
+  assert.equal(pageOptions({}, 24), { page: 1, limit: 24 });
+  assert.equal(pageOptions({ page: "3", limit: "500" }, 10), { page: 3, limit: 100 });
+  assert.equal(pageOptions({ page: "-1", limit: "abc" }, 10), { page: 1, limit: 10 });
+});
+
+test("List responses carry the documented pagination block", function () {
+  const body = paginated({
+    documents: [{ ID: "a" }],
+    pagination: {
+      current_page: 2,
+      total_pages: 3,
+      total_documents: 21,
+      per_page: 10,
+      has_next_page: true,
+      has_prev_page: true,
+    },
+  });
+  assert.equal(body, {
+    items: [{ ID: "a" }],
+    pagination: {
+      current_page: 2,
+      total_pages: 3,
+      total_items: 21,
+      per_page: 10,
+      has_next: true,
+      has_prev: true,
+    },
+  });
+});
+
+test.run();
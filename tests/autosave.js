@@ -0,0 +1,28 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const ContentModel = require("../models/content");
+
+const model = new ContentModel();
+const updatedAt = new Date("2024-01-02T12:00:00Z");
+
+test("Autosaves newer than the last save are offered", function () {
+  const content = {
+    timestamps: { updated_at: updatedAt },
+    version: { auto_save: { title: "Draft", saved_at: new Date("2024-01-02T12:05:00Z") } },
+  };
+  assert.is(model.getPendingAutosave(content).title, "Draft");
+});
+
+test("Stale or missing autosaves are ignored", function () {
+  assert.is(
+    model.getPendingAutosave({
+      timestamps: { updated_at: updatedAt },
+      version: { auto_save: { title: "Old", saved_at: new Date("2024-01-02T11:00:00Z") } },
+    }),
+    null
+  );
+  assert.is(model.getPendingAutosave({ timestamps: { updated_at: updatedAt } }), null);
+});
+
+test.run();
@@ -0,0 +1,78 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const Blog = require("../routes/blog");
+const Home = require("../routes/index");
+const { Content } = require("../models");
+
+const POSTS = [
+  { ID: "1", type: "blog", status: "published", visibility: "public", title: "Open", excerpt: "Open", url: "/blog/open" },
+  { ID: "2", type: "blog", status: "published", visibility: "private", title: "Secret", excerpt: "Secret", url: "/blog/secret" },
+  { ID: "3", type: "blog", status: "published", visibility: "protected", title: "Members", excerpt: "Members", url: "/blog/members" },
+];
+
+// Content queries answered from POSTS, matching on plain field values
+async function withPosts(fn) {
+  const matches = (query) => POSTS.filter((post) =>
+    Object.keys(query).every((key) => typeof query[key] !== "string" || post[key] === query[key])
+  );
+  Content.getlist = async (query) => matches(query);
+  Content.count = async (query) => matches(query).length;
+  Content.findOne = async (query) => matches(query)[0] || null;
+  Blog.getPostsPerPage = async () => 10;
+  try {
+    await fn();
+  } finally {
+    // The stubs shadow the prototype methods; removing them restores those
+    delete Content.getlist;
+    delete Content.count;
+    delete Content.findOne;
+    delete Blog.getPostsPerPage;
+  }
+}
+
+function render(controller) {
+  return new Promise((resolve, reject) => {
+    const req = { query: {}, path: "/blog", protocol: "https", get: () => "example.com" };
+    const res = { locals: {}, render: (template, data) => resolve(data) };
+    controller.run(req, res, reject);
+  });
+}
+
+test("Pagination links keep the first page clean", function () {
+  const pagination = Blog.toPagination("/blog", {
+    current_page: 2,
+    total_pages: 3,
+    has_prev_page: true,
+    has_next_page: true,
+  });
+  assert.equal(pagination, {
+    current: 2,
+    pages: 3,
+    prev: "/blog",
+    next: "/blog?page=3",
+  });
+});
+
+test("Listings prefer the excerpt over the full text", function () {
+  const summary = Blog.toSummary({
+    ID: "1",
+    title: "Post",
+    content: "Full text",
+    excerpt: "Short",
+    url: "/blog/post",
+  });
+  assert.is(summary.text, "Short");
+  assert.is(summary.url, "/blog/post");
+});
+
+test("Private and protected posts stay out of listings", async function () {
+  await withPosts(async () => {
+    const listing = await render(Blog);
+    assert.equal(listing.articles.map((article) => article.title), ["Open"]);
+    const home = await render(Home);
+    assert.equal(home.articles.map((article) => article.title), ["Open"]);
+  });
+});
+
+test.run();
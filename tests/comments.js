@@ -0,0 +1,85 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const { Comments, Settings } = require("../models");
+const Blog = require("../routes/blog");
+const Admin = require("../routes/admin");
+
+const { getSetting } = Settings;
+let settings = {};
+
+test.before(function () {
+  Settings.getSetting = async (key) => settings[key];
+});
+
+test.after(function () {
+  Settings.getSetting = getSetting;
+});
+
+test("Replies are nested under their parent comment", function () {
+  const thread = Comments.buildThread([
+    { ID: "a", parent_id: null, body: "first" },
+    { ID: "b", parent_id: "a", body: "reply" },
+    { ID: "c", parent_id: "b", body: "reply to reply" },
+    { ID: "d", parent_id: null, body: "second" },
+  ]);
+  assert.equal(thread.map((comment) => comment.ID), ["a", "d"]);
+  assert.is(thread[0].replies[0].ID, "b");
+  assert.is(thread[0].replies[0].replies[0].ID, "c");
+  assert.equal(thread[1].replies, []);
+});
+
+test("Replies to comments missing from the thread move to the top level", function () {
+  const thread = Comments.buildThread([{ ID: "b", parent_id: "gone", body: "orphan" }]);
+  assert.equal(thread.map((comment) => comment.ID), ["b"]);
+});
+
+test("Comments need the site setting and the post's own flag", async function () {
+  const post = { type: "blog", status: "published", blog_specific: { comments_enabled: true } };
+  settings = {};
+  assert.ok(await Blog.commentsOpen(post));
+  settings = { enable_comments: false };
+  assert.not.ok(await Blog.commentsOpen(post));
+  settings = {};
+  assert.not.ok(await Blog.commentsOpen({ ...post, blog_specific: { comments_enabled: false } }));
+  assert.not.ok(await Blog.commentsOpen({ ...post, status: "draft" }));
+});
+
+test("Public comment data leaves out emails and request details", function () {
+  const comment = Blog.toComment({
+    ID: "a",
+    author_name: "Ann",
+    author_email: "ann@example.com",
+    ip_address: "127.0.0.1",
+    body: "hi",
+    created_at: new Date("2024-03-01T10:00:00Z"),
+    replies: [],
+  });
+  assert.equal(comment, { ID: "a", author_name: "Ann", body: "hi", created_at: "2024-03-01", replies: [] });
+});
+
+test("Moderation reads the comment and action from the posted form", async function () {
+  const calls = [];
+  Comments.findById = async (ID) => (ID === "c1" ? { ID: "c1", status: "pending" } : null);
+  Comments.approve = async (ID, userId) => (calls.push([ID, userId]), { ID, status: "approved" });
+  try {
+    const user = { ID: "u1", role: "admin" };
+    const posted = { session: { user }, query: {}, body: { action: "moderate", comment: "c1", status: "approved" } };
+    assert.is((await Admin.moderate(posted)).status, "approved");
+    assert.equal(calls, [["c1", "u1"]]);
+
+    const linked = { session: { user }, query: { comment: "c1", status: "approved" }, body: {} };
+    try {
+      await Admin.moderate(linked);
+      assert.unreachable("should have thrown");
+    } catch (error) {
+      assert.is(error.status, 404);
+    }
+    assert.is(calls.length, 1);
+  } finally {
+    delete Comments.findById;
+    delete Comments.approve;
+  }
+});
+
+test.run();
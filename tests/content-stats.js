@@ -0,0 +1,77 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const stats = require("../lib/content-stats");
+const ContentModel = require("../models/content");
+
+test("Words are counted on the text without markup", function () {
+  const derived = stats.deriveFields('<p>It’s a <a href="https://example.com/very-long-url">well-known</a> fact.</p><p>Two&nbsp;more</p>', "html");
+  assert.is(derived.word_count, 6);
+  assert.is(derived.reading_time, 1);
+  assert.is(derived.excerpt, "It’s a well-known fact. Two more");
+  assert.is(stats.deriveFields("## Heading\n\n**Bold** `code`", "markdown").word_count, 3);
+  assert.is(stats.readingTime(0), 0);
+  assert.is(stats.readingTime(401), 3);
+});
+
+test("Excerpts end at a sentence boundary", function () {
+  const text = "First sentence. Second one? " + "Filler words go here. ".repeat(20);
+  const excerpt = stats.excerpt(text, 60);
+  assert.is(excerpt, "First sentence. Second one? Filler words go here.");
+
+  const run = stats.excerpt("word ".repeat(100).trim(), 30);
+  assert.is(run, "word word word word word word…");
+  assert.ok(run.length <= 30);
+});
+
+test("Updates keep derived fields in step with the body", function () {
+  const model = new ContentModel();
+  const existing = {
+    type: "blog",
+    format: "html",
+    content: "<p>Old body.</p>",
+    excerpt: "Old body.",
+  };
+
+  const data = model.applyDerivedFields(existing, { content: "<p>New body here.</p>" });
+  assert.is(data.excerpt, "New body here.");
+  assert.is(data["blog_specific.word_count"], 3);
+  assert.is(data["blog_specific.reading_time"], 1);
+
+  const handWritten = model.applyDerivedFields({ ...existing, excerpt: "Written by hand" }, { content: "<p>New</p>" });
+  assert.is(handWritten.excerpt, undefined);
+
+  const restored = model.applyDerivedFields(existing, { content: "one two", blog_specific: { featured: true } });
+  assert.equal(restored.blog_specific, { featured: true, word_count: 2, reading_time: 1 });
+
+  const page = model.applyDerivedFields({ ...existing, type: "page", excerpt: "" }, { title: "Renamed" });
+  assert.is(page.excerpt, "Old body.");
+  assert.is(page["blog_specific.word_count"], undefined);
+});
+
+test("Backfill only writes what is missing or stale", async function () {
+  const model = new ContentModel();
+  const documents = [
+    { ID: "a", type: "blog", format: "html", content: "One two three.", excerpt: "", blog_specific: {} },
+    { ID: "b", type: "blog", format: "html", content: "One two.", excerpt: "Mine", blog_specific: { word_count: 2, reading_time: 1 } },
+    { ID: "c", type: "page", format: "markdown", content: "*Hi* there.", excerpt: null },
+  ];
+  const writes = [];
+  const query = {
+    select: () => query,
+    lean: () => query,
+    cursor: () => documents,
+  };
+  model.model = { find: () => query, bulkWrite: async (operations) => writes.push(...operations) };
+
+  assert.equal(await model.backfillDerivedFields(), { checked: 3, updated: 2 });
+  assert.equal(
+    writes.map((operation) => [operation.updateOne.filter.ID, operation.updateOne.update.$set]),
+    [
+      ["a", { "blog_specific.word_count": 3, "blog_specific.reading_time": 1, excerpt: "One two three." }],
+      ["c", { excerpt: "Hi there." }],
+    ]
+  );
+});
+
+test.run();
@@ -0,0 +1,63 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const { Content } = require("../models");
+const ContentController = require("../routes/content");
+
+const controller = new ContentController("content");
+
+const items = {
+  "new-slug": { ID: "1", slug: "new-slug", type: "blog", url: "/blog/new-slug", status: "published", visibility: "public", author: { id: "u1" } },
+  "about-us": { ID: "2", slug: "about-us", type: "page", url: "/about-us", status: "published", visibility: "public", author: { id: "u1" } },
+  "secret-draft": { ID: "3", slug: "secret-draft", type: "page", url: "/secret-draft", status: "draft", visibility: "public", author: { id: "u1" } },
+};
+
+const { findBySlug, findByPreviousSlug } = Content;
+
+test.before(function () {
+  Content.findBySlug = async (slug) => items[slug] || null;
+  Content.findByPreviousSlug = async (slug) => (slug === "old-slug" ? items["new-slug"] : null);
+});
+
+test.after(function () {
+  Content.findBySlug = findBySlug;
+  Content.findByPreviousSlug = findByPreviousSlug;
+});
+
+function request(path, slug, user) {
+  return { path, params: { slug }, session: { user } };
+}
+
+function response() {
+  return {
+    redirect(status, url) {
+      this.status = status;
+      this.location = url;
+    },
+  };
+}
+
+test("Old slugs redirect permanently to the current URL", async function () {
+  const res = response();
+  assert.is(await controller.resolve(request("/blog/old-slug", "old-slug"), res), null);
+  assert.is(res.status, 301);
+  assert.is(res.location, "/blog/new-slug");
+});
+
+test("Content is only served under its canonical URL", async function () {
+  const res = response();
+  assert.is(await controller.resolve(request("/new-slug", "new-slug"), res), null);
+  assert.is(res.location, "/blog/new-slug");
+  assert.is(await controller.resolve(request("/about-us", "about-us"), response()), items["about-us"]);
+});
+
+test("Drafts are hidden from visitors but previewable by editors", async function () {
+  assert.is(await controller.resolve(request("/secret-draft", "secret-draft"), response()), null);
+  const editor = { ID: "e1", role: "editor" };
+  assert.is(
+    await controller.resolve(request("/secret-draft", "secret-draft", editor), response()),
+    items["secret-draft"]
+  );
+});
+
+test.run();
@@ -0,0 +1,109 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const feeds = require("../lib/feeds");
+const Feed = require("../routes/feed");
+const { Content } = require("../models");
+
+const post = {
+  ID: "p1",
+  title: "Fish & <Chips>",
+  url: "/blog/fish-and-chips",
+  excerpt: "Short",
+  content: "<p>Long</p>",
+  author: { name: "Ann" },
+  tags: ["food"],
+  categories: ["news"],
+  timestamps: {
+    created_at: new Date("2024-03-01T09:00:00Z"),
+    published_at: new Date("2024-03-02T09:00:00Z"),
+    updated_at: new Date("2024-03-03T09:00:00Z"),
+  },
+};
+
+function request(params, headers = {}) {
+  return {
+    params,
+    protocol: "https",
+    path: "/blog/" + params.format,
+    fresh: false,
+    get: (name) => (name === "host" ? "example.com" : headers[name]),
+  };
+}
+
+function response(site = { title: "Acme", description: "Parcels" }) {
+  const res = { locals: { site }, headers: {}, statusCode: 200 };
+  res.set = (headers) => Object.assign(res.headers, headers);
+  res.status = (code) => ((res.statusCode = code), res);
+  res.send = (body) => (res.body = body);
+  res.end = () => (res.ended = true);
+  return res;
+}
+
+async function withPosts(posts, fn) {
+  const { findByType, renderBody } = Content;
+  const calls = [];
+  Content.findByType = async (type, options) => (calls.push({ type, options }), posts);
+  Content.renderBody = async (post) => post.content;
+  try {
+    await fn(calls);
+  } finally {
+    Content.findByType = findByType;
+    Content.renderBody = renderBody;
+  }
+}
+
+test("Feeds are built in all three formats", function () {
+  const feed = Feed.toFeed([post], {
+    title: "Acme blog",
+    description: "Parcels",
+    home_url: "https://example.com/blog",
+    feed_url: "https://example.com/blog/feed.xml",
+    origin: "https://example.com",
+    bodies: ["<p>Long</p>"],
+  });
+  assert.is(feed.updated.toISOString(), "2024-03-03T09:00:00.000Z");
+  assert.equal(feed.items[0].categories, ["news", "food"]);
+
+  const rss = feeds.rss(feed);
+  assert.ok(rss.includes("<title>Fish &amp; &lt;Chips&gt;</title>"));
+  assert.ok(rss.includes("<pubDate>Sat, 02 Mar 2024 09:00:00 GMT</pubDate>"));
+  assert.ok(rss.includes("<dc:creator>Ann</dc:creator>"));
+  assert.ok(rss.includes("<description>Short</description>"));
+
+  const atom = feeds.atom(feed);
+  assert.ok(atom.includes('<category term="food" />'));
+  assert.ok(atom.includes('<content type="html">&lt;p&gt;Long&lt;/p&gt;</content>'));
+
+  const json = JSON.parse(feeds.jsonFeed(feed));
+  assert.is(json.items[0].url, "https://example.com/blog/fish-and-chips");
+  assert.is(json.items[0].content_html, "<p>Long</p>");
+  assert.equal(json.items[0].authors, [{ name: "Ann" }]);
+});
+
+test("Tag feeds filter on public posts and 404 when empty", async function () {
+  await withPosts([], async (calls) => {
+    let passed = false;
+    await Feed.run(request({ scope: "tag", term: "food", format: "atom.xml" }), response(), () => (passed = true));
+    assert.ok(passed);
+    assert.equal(calls[0].options.filter, { visibility: "public", tags: "food" });
+  });
+});
+
+test("Unchanged feeds answer 304", async function () {
+  await withPosts([post], async () => {
+    const first = response();
+    await Feed.run(request({ format: "feed.json" }), first);
+    assert.is(first.headers["Content-Type"], "application/feed+json; charset=utf-8");
+    assert.is(first.headers["Last-Modified"], "Sun, 03 Mar 2024 09:00:00 GMT");
+    assert.ok(first.body.startsWith("{"));
+
+    const again = response();
+    await Feed.run({ ...request({ format: "feed.json" }), fresh: true }, again);
+    assert.is(again.statusCode, 304);
+    assert.ok(again.ended);
+    assert.is(again.headers.ETag, first.headers.ETag);
+  });
+});
+
+test.run();
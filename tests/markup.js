@@ -0,0 +1,55 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const markup = require("../lib/markup");
+const ContentModel = require("../models/content");
+
+const ATTACKS = [
+  '<script>alert(1)</script>',
+  '<img src="x" onerror="alert(1)">',
+  '<a href="javascript:alert(1)">x</a>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<p style="background:url(javascript:alert(1))">x</p>',
+];
+
+test("Markdown is converted to HTML", function () {
+  const html = markup.render("# Title\n\nSome *text* and [a link](https://example.com).\n\n```js\nlet a = 1 < 2;\n```", "markdown");
+  assert.ok(html.includes("<h1>Title</h1>"));
+  assert.ok(html.includes('<em>text</em> and <a href="https://example.com">a link</a>'));
+  assert.ok(html.includes('<pre><code class="language-js">let a = 1 &lt; 2;'));
+});
+
+test("Every format is sanitized", function () {
+  markup.FORMATS.forEach((format) => {
+    ATTACKS.forEach((attack) => {
+      const html = markup.render(attack, format);
+      assert.not.match(html, /script|onerror|javascript:|iframe|style=/, `${format}: ${attack}`);
+    });
+  });
+  assert.is(markup.render('<p><img src="/uploads/a.jpg" alt="A"></p>', "html"), '<p><img src="/uploads/a.jpg" alt="A" /></p>');
+  assert.is(
+    markup.render('<a href="https://example.com" target="_blank">x</a>', "wysiwyg"),
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+  );
+});
+
+test("Rendered bodies are cached per version", async function () {
+  const model = new ContentModel();
+  const writes = [];
+  model.model = { updateOne: async (filter, update) => writes.push({ filter, update }) };
+  const content = { ID: "c1", content: "**hi**", format: "markdown", version: { number: 3 } };
+
+  assert.is(await model.renderBody(content), "<p><strong>hi</strong></p>\n");
+  assert.equal(writes[0].filter, { ID: "c1", "version.number": 3 });
+  const { rendered } = writes[0].update.$set;
+  assert.equal(rendered, { html: "<p><strong>hi</strong></p>\n", version: 3, format: "markdown", renderer: markup.RENDERER_VERSION });
+
+  assert.is(await model.renderBody({ ...content, content: "changed", rendered }), rendered.html);
+  assert.is(writes.length, 1);
+
+  assert.is(await model.renderBody({ ...content, version: { number: 4 }, content: "new", rendered }), "<p>new</p>\n");
+  assert.is(await model.renderBody({ ...content, format: "html", rendered }), "**hi**");
+  assert.is(writes.length, 3);
+});
+
+test.run();
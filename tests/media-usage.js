@@ -0,0 +1,100 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const findMediaReferences = require("../lib/media-references");
+const MediaModel = require("../models/media");
+const Admin = require("../routes/admin");
+const { Media } = require("../models");
+
+test("References are found in the body and the image metadata", function () {
+  const references = findMediaReferences({
+    content:
+      '<p><img src="/uploads/blog/a.jpg"> and <a href="https://example.com/uploads/docs/b.pdf?download=1">pdf</a></p>' +
+      "![again](/uploads/blog/a.jpg) /images/logo.png",
+    metadata: { featured_image: "/uploads/content/c.png", og_image: "/uploads/content/c.png" },
+  });
+  assert.equal(references, [
+    { url: "/uploads/blog/a.jpg", usage_type: "inline" },
+    { url: "/uploads/docs/b.pdf", usage_type: "inline" },
+    { url: "/uploads/content/c.png", usage_type: "featured_image" },
+    { url: "/uploads/content/c.png", usage_type: "og_image" },
+  ]);
+});
+
+test("used_in is reconciled with the current references", async function () {
+  const model = new MediaModel({ url: "/uploads" });
+  const records = [
+    { ID: "kept", url: "/uploads/a.jpg", isImage: true, used_in: [{ content_id: "c1", usage_type: "inline" }] },
+    { ID: "dropped", url: "/uploads/old.jpg", isImage: true, used_in: [{ content_id: "c1", usage_type: "featured_image" }, { content_id: "c2", usage_type: "inline" }] },
+    {
+      ID: "added",
+      url: "/uploads/doc.pdf",
+      isImage: false,
+      used_in: [],
+    },
+    {
+      ID: "thumb",
+      url: "/uploads/b.jpg",
+      isImage: true,
+      used_in: [],
+      processing: { thumbnails: [{ url: "/uploads/b-small.jpg" }] },
+    },
+  ];
+  const updates = [];
+  model.model = {
+    find: async (query) =>
+      query["used_in.content_id"]
+        ? records.filter((media) => media.used_in.some((usage) => usage.content_id === "c1"))
+        : records.filter((media) => ["kept", "added", "thumb"].includes(media.ID)),
+    updateOne: async (filter, update) => updates.push([filter.ID, Object.keys(update)[0]]),
+  };
+
+  const desired = await model.syncUsage({
+    ID: "c1",
+    content: '<img src="/uploads/a.jpg"> <a href="/uploads/doc.pdf">doc</a>',
+    metadata: { featured_image: "/uploads/b-small.jpg" },
+  });
+  assert.equal(desired, { kept: ["inline"], added: ["attachment"], thumb: ["featured_image"] });
+  // "kept" is already up to date; "dropped" only loses its c1 entry
+  assert.equal(updates, [
+    ["dropped", "$pull"],
+    ["added", "$pull"],
+    ["added", "$push"],
+    ["thumb", "$pull"],
+    ["thumb", "$push"],
+  ]);
+});
+
+test("Media still in use is not deleted", async function () {
+  const model = new MediaModel({ url: "/uploads" });
+  model.model = { findOneAndDelete: async () => null };
+  model.findById = async () => ({ ID: "m1", used_in: [{ content_id: "c1" }] });
+  try {
+    await model.remove("m1");
+    assert.unreachable("should have thrown");
+  } catch (error) {
+    assert.is(error.cause.code, "MEDIA_IN_USE");
+  }
+});
+
+test("Media is deleted from the posted form only", async function () {
+  const removed = [];
+  Media.findById = async (ID) => (ID === "m1" ? { ID: "m1", uploaded_by: "u1" } : null);
+  Media.remove = async (ID) => removed.push(ID);
+  try {
+    const user = { ID: "u1", role: "admin" };
+    await Admin.deleteMedia({ session: { user }, query: {}, body: { action: "delete-media", id: "m1" } });
+    assert.equal(removed, ["m1"]);
+    try {
+      await Admin.deleteMedia({ session: { user }, query: { id: "m1" }, body: {} });
+      assert.unreachable("should have thrown");
+    } catch (error) {
+      assert.is(error.status, 404);
+    }
+  } finally {
+    delete Media.findById;
+    delete Media.remove;
+  }
+});
+
+test.run();
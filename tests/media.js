@@ -0,0 +1,86 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const MediaModel = require("../models/media");
+const { sniffMimeType } = require("../lib/mime");
+const { normalizeFolder } = require("../lib/media-storage");
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "media-test-"));
+const model = new MediaModel({
+  root,
+  url: "/uploads",
+  max_file_size: 1024,
+  allowed_types: ["image/png", "application/pdf"],
+});
+
+test.after(function () {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function file(buffer, originalname = "picture.png", mimetype = "image/png") {
+  return { buffer, originalname, mimetype, size: buffer.length };
+}
+
+test("File types are detected from their contents", function () {
+  assert.is(sniffMimeType(PNG), "image/png");
+  assert.is(sniffMimeType(Buffer.from("%PDF-1.7")), "application/pdf");
+  assert.is(sniffMimeType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")), "image/webp");
+  assert.is(sniffMimeType(Buffer.from("<svg></svg>")), null);
+});
+
+test("Folders cannot escape the media root", function () {
+  assert.is(normalizeFolder("/Blog/2024/"), "blog/2024");
+  assert.is(normalizeFolder(""), "uploads");
+  assert.throws(() => normalizeFolder("../etc"), /Invalid folder/);
+  assert.throws(() => normalizeFolder("a//b"), /Invalid folder/);
+});
+
+test("Uploads are rejected by size, type and mismatched declarations", function () {
+  assert.is(model.validateUpload(file(PNG)), "image/png");
+  assert.throws(() => model.validateUpload(file(Buffer.alloc(2048, 1))), (e) => e.code === "FILE_TOO_LARGE");
+  assert.throws(
+    () => model.validateUpload(file(Buffer.from("GIF89a"), "a.gif", "image/gif")),
+    (e) => e.code === "UNSUPPORTED_MEDIA_TYPE"
+  );
+  assert.throws(
+    () => model.validateUpload(file(PNG, "a.pdf", "application/pdf")),
+    (e) => e.code === "UNSUPPORTED_MEDIA_TYPE"
+  );
+});
+
+test("Uploads are stored under the root and recorded", async function () {
+  const inserted = [];
+  model.insert = async (data) => {
+    inserted.push(data);
+    return data;
+  };
+  const media = await model.upload(file(PNG), { folder: "Blog", tags: "News, news,  team", userId: "u1" });
+  assert.ok(media.file_path.startsWith("blog/"));
+  assert.ok(media.file_path.endsWith(".png"));
+  assert.is(media.url, `/uploads/${media.file_path}`);
+  assert.equal(media.tags, ["news", "team"]);
+  assert.is(media.processing.status, "pending");
+  assert.ok(fs.readFileSync(path.join(root, media.file_path)).equals(PNG));
+  delete model.insert;
+});
+
+test("The file is removed again when the record cannot be saved", async function () {
+  model.insert = async () => {
+    throw new Error("Insert failed: duplicate");
+  };
+  try {
+    await model.upload(file(PNG), { folder: "failed", userId: "u1" });
+    assert.unreachable("should have thrown");
+  } catch (error) {
+    assert.match(error.message, /Media upload failed/);
+  }
+  assert.equal(fs.readdirSync(path.join(root, "failed")), []);
+  delete model.insert;
+});
+
+test.run();
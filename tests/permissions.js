@@ -0,0 +1,43 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const permissions = require("../lib/permissions");
+
+const contributor = { ID: "c1", role: "contributor" };
+const author = { ID: "a1", role: "author" };
+const editor = { ID: "e1", role: "editor" };
+const superAdmin = { ID: "s1", role: "super_admin" };
+
+const draftBy = (user) => ({ author: { id: user.ID }, status: "draft", visibility: "public" });
+const publishedBy = (user) => ({ author: { id: user.ID }, status: "published", visibility: "public" });
+
+test("Contributors create and edit their own drafts only", function () {
+  assert.ok(permissions.can(contributor, "content.create"));
+  assert.ok(permissions.canEditContent(contributor, draftBy(contributor)));
+  assert.not.ok(permissions.canEditContent(contributor, publishedBy(contributor)));
+  assert.not.ok(permissions.canEditContent(contributor, draftBy(author)));
+  assert.not.ok(permissions.canChangeStatus(contributor, draftBy(contributor), "published"));
+});
+
+test("Authors publish their own posts", function () {
+  assert.ok(permissions.canPublishContent(author, draftBy(author)));
+  assert.not.ok(permissions.canPublishContent(author, draftBy(editor)));
+  assert.ok(permissions.canDeleteContent(author, publishedBy(author)));
+  assert.not.ok(permissions.canViewContent(author, draftBy(editor)));
+  assert.ok(permissions.canViewContent(author, publishedBy(editor)));
+});
+
+test("Editors publish anyone's posts", function () {
+  assert.ok(permissions.canPublishContent(editor, draftBy(author)));
+  assert.ok(permissions.canEditContent(editor, publishedBy(author)));
+  assert.ok(permissions.canViewContent(editor, draftBy(contributor)));
+  assert.not.ok(permissions.can(editor, "settings.manage"));
+});
+
+test("Extra grants and wildcard", function () {
+  assert.ok(permissions.can(superAdmin, "anything.at_all"));
+  assert.ok(permissions.can({ role: "author", permissions: ["comments.moderate"] }, "comments.moderate"));
+  assert.not.ok(permissions.can(null, "content.create"));
+});
+
+test.run();
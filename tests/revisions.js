@@ -0,0 +1,146 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const diff = require("../lib/diff");
+const RevisionModel = require("../models/revision");
+const ContentModel = require("../models/content");
+const Admin = require("../routes/admin");
+const models = require("../models");
+const { Content, Media, Revisions, Comments } = require("../models/schemas");
+
+test("Field-level diff reports added, removed and changed paths", function () {
+  const before = {
+    title: "Old title",
+    excerpt: "Short",
+    tags: ["a"],
+    metadata: { seo_title: "Old", featured_image: "/a.jpg" },
+  };
+  const after = {
+    title: "New title",
+    tags: ["a"],
+    categories: ["News"],
+    metadata: { seo_title: "Old", featured_image: "/b.jpg" },
+  };
+  const changes = diff(before, after);
+  assert.equal(
+    changes.map(({ field, change }) => [field, change]),
+    [
+      ["categories", "added"],
+      ["excerpt", "removed"],
+      ["metadata.featured_image", "changed"],
+      ["title", "changed"],
+    ]
+  );
+  assert.is(changes[3].before, "Old title");
+  assert.is(changes[3].after, "New title");
+});
+
+test("Identical snapshots produce no changes", function () {
+  const when = new Date("2024-01-01T00:00:00Z");
+  assert.equal(
+    diff({ schedule: { publish_at: when } }, { schedule: { publish_at: new Date(when) } }),
+    []
+  );
+});
+
+test("Snapshots only keep versioned fields", function () {
+  const snapshot = new RevisionModel().toSnapshot({
+    ID: "abc",
+    title: "Title",
+    metrics: { view_count: 10 },
+    version: { number: 3 },
+  });
+  assert.equal(snapshot, { title: "Title" });
+});
+
+test("Removing content removes its revisions and comments", async function () {
+  const { updateMany } = Media;
+  const deleted = [];
+  const originals = [Revisions, Comments].map((model) => model.deleteMany);
+  Media.updateMany = async () => ({});
+  Revisions.deleteMany = async (filter) => (deleted.push(["revisions", filter]), { deletedCount: 2 });
+  Comments.deleteMany = async (filter) => (deleted.push(["comments", filter]), { deletedCount: 1 });
+  try {
+    const model = new ContentModel();
+    model.model = { findOneAndDelete: async () => ({ ID: "c1" }) };
+    await model.remove("c1");
+    assert.equal(deleted, [
+      ["revisions", { content_id: "c1" }],
+      ["comments", { content_id: "c1" }],
+    ]);
+  } finally {
+    Media.updateMany = updateMany;
+    [Revisions.deleteMany, Comments.deleteMany] = originals;
+  }
+});
+
+test("Publishing through an update sets the publish date once", async function () {
+  Revisions.prototype.save = async function () {
+    return this;
+  };
+  const updates = [];
+  const model = new ContentModel();
+  const draft = new Content({ ID: "c1", title: "Draft", slug: "draft", content: "Body", status: "draft" });
+  let stored = draft;
+  model.model = {
+    findOne: () => ({ exec: async () => stored }),
+    findOneAndUpdate: async (filter, { $set }) => (updates.push($set), stored),
+  };
+  model.syncMediaUsage = async () => {};
+  try {
+    await model.update("c1", { status: "published" });
+    assert.instance(updates[0]["timestamps.published_at"], Date);
+
+    const publishedAt = new Date("2024-01-01T00:00:00Z");
+    stored = new Content({ ...draft.toObject(), status: "published", timestamps: { published_at: publishedAt } });
+    await model.update("c1", { status: "published", title: "Renamed" });
+    assert.is(updates[1]["timestamps.published_at"], undefined);
+
+    await model.update("c1", { status: "draft" });
+    assert.is(updates[2]["timestamps.published_at"], undefined);
+  } finally {
+    delete Revisions.prototype.save;
+  }
+});
+
+test("Revisions are restored from the posted form only", async function () {
+  const restored = [];
+  models.Content.findById = async (ID) => (ID === "c1" ? { ID: "c1", author: { id: "u1" } } : null);
+  models.Content.restoreRevision = async (ID, revision, userId) => (restored.push([ID, revision, userId]), { ID });
+  try {
+    const user = { ID: "u1", role: "admin" };
+    await Admin.restore({ session: { user }, query: {}, body: { action: "restore", id: "c1", revision: "r1" } });
+    assert.equal(restored, [["c1", "r1", "u1"]]);
+    try {
+      await Admin.restore({ session: { user }, query: { id: "c1", revision: "r1" }, body: {} });
+      assert.unreachable("should have thrown");
+    } catch (error) {
+      assert.is(error.status, 404);
+    }
+  } finally {
+    delete models.Content.findById;
+    delete models.Content.restoreRevision;
+  }
+});
+
+test("Content is deleted from the posted form only", async function () {
+  const removed = [];
+  models.Content.findById = async (ID) => (ID === "c1" ? { ID: "c1", author: { id: "u1" } } : null);
+  models.Content.remove = async (ID) => removed.push(ID);
+  try {
+    const user = { ID: "u1", role: "admin" };
+    await Admin.del({ session: { user }, query: {}, body: { action: "delete", id: "c1" } });
+    assert.equal(removed, ["c1"]);
+    try {
+      await Admin.del({ session: { user }, query: { action: "delete", id: "c1" }, body: {} });
+      assert.unreachable("should have thrown");
+    } catch (error) {
+      assert.is(error.status, 404);
+    }
+  } finally {
+    delete models.Content.findById;
+    delete models.Content.remove;
+  }
+});
+
+test.run();
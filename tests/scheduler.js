@@ -0,0 +1,69 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const { isValidTimeZone, zonedTimeToUtc, utcToZonedTime } = require("../lib/timezone");
+const ContentModel = require("../models/content");
+const Scheduler = require("../lib/scheduler");
+const { Locks } = require("../models/schemas");
+
+test("Wall-clock schedule times honour their timezone", function () {
+  const summer = new Date("2024-07-01T09:00:00Z");
+  const winter = new Date("2024-01-01T09:00:00Z");
+  assert.is(zonedTimeToUtc(summer, "Europe/Berlin").toISOString(), "2024-07-01T07:00:00.000Z");
+  assert.is(zonedTimeToUtc(winter, "America/New_York").toISOString(), "2024-01-01T14:00:00.000Z");
+  assert.is(zonedTimeToUtc(winter, "UTC").toISOString(), winter.toISOString());
+  assert.is(zonedTimeToUtc(winter, "Not/AZone").toISOString(), winter.toISOString());
+});
+
+test("Only named zones are valid timezones", function () {
+  assert.ok(isValidTimeZone("Europe/Berlin"));
+  assert.ok(isValidTimeZone("UTC"));
+  assert.not.ok(isValidTimeZone("Not/AZone"));
+  assert.not.ok(isValidTimeZone(undefined));
+  assert.not.ok(isValidTimeZone(""));
+  assert.not.ok(isValidTimeZone(["Europe/Berlin"]));
+});
+
+test("Stored instants round-trip through the form's wall-clock time", function () {
+  const instant = new Date("2024-07-01T07:00:00Z");
+  const wallClock = utcToZonedTime(instant, "Europe/Berlin");
+  assert.is(wallClock.toISOString(), "2024-07-01T09:00:00.000Z");
+  assert.is(zonedTimeToUtc(wallClock, "Europe/Berlin").toISOString(), instant.toISOString());
+});
+
+test("Due content is found by comparing the stored instant with now", async function () {
+  const model = new ContentModel();
+  const queries = [];
+  model.getlist = async (query) => (queries.push(query), []);
+  const now = new Date("2024-07-01T07:00:00Z");
+  await model.findDueForPublishing(now);
+  await model.findDueForUnpublishing(now);
+  assert.equal(queries, [
+    { status: "scheduled", "schedule.publish_at": { $lte: now } },
+    { status: "published", "schedule.unpublish_at": { $lte: now } },
+  ]);
+});
+
+test("Jobs only run when their lock is claimed", async function () {
+  const acquire = Locks.acquire;
+  const holders = {};
+  Locks.acquire = async (name, owner) => {
+    if (holders[name] && holders[name] !== owner) return false;
+    holders[name] = owner;
+    return true;
+  };
+  try {
+    let runs = 0;
+    const task = async () => ++runs;
+    const first = new Scheduler("instance-a").register("publish", 60, task);
+    const second = new Scheduler("instance-b").register("publish", 60, task);
+
+    assert.is(await first.run(first.jobs[0]), 1);
+    assert.is(await second.run(second.jobs[0]), null);
+    assert.is(runs, 1);
+  } finally {
+    Locks.acquire = acquire;
+  }
+});
+
+test.run();
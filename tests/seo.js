@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+const hbs = require("hbs");
+
+const { contentSeo, pageSeo } = require("../lib/seo");
+
+const context = {
+  site: { title: "Acme", meta_description: "Parcels delivered" },
+  origin: "https://example.com",
+};
+
+const post = {
+  type: "blog",
+  title: "Fish & Chips",
+  url: "/blog/fish-and-chips",
+  status: "published",
+  visibility: "public",
+  excerpt: "Short",
+  author: { name: "Ann" },
+  tags: ["food"],
+  metadata: { seo_keywords: ["fish", "chips"], featured_image: "/uploads/fish.jpg" },
+  timestamps: {
+    published_at: new Date("2024-03-02T09:00:00Z"),
+    updated_at: new Date("2024-03-03T09:00:00Z"),
+  },
+};
+
+const headMeta = hbs.handlebars.compile(
+  fs.readFileSync(path.join(__dirname, "..", "templates", "partials", "head_meta.hbs"), "utf8")
+);
+
+test("Blog posts get article tags and Article JSON-LD", function () {
+  const seo = contentSeo(post, context);
+  assert.is(seo.title, "Fish & Chips");
+  assert.is(seo.description, "Short");
+  assert.is(seo.canonical, "https://example.com/blog/fish-and-chips");
+  assert.is(seo.image, "https://example.com/uploads/fish.jpg");
+  assert.is(seo.twitter_card, "summary_large_image");
+  assert.is(seo.robots, "");
+  const markup = JSON.parse(seo.json_ld);
+  assert.is(markup["@type"], "Article");
+  assert.is(markup.headline, "Fish & Chips");
+  assert.equal(markup.author, { "@type": "Person", name: "Ann" });
+  assert.is(markup.datePublished, "2024-03-02T09:00:00.000Z");
+  assert.is(markup.keywords, "fish, chips");
+});
+
+test("Metadata overrides and site fallbacks", function () {
+  const page = {
+    ...post,
+    type: "page",
+    url: "/about",
+    excerpt: "",
+    status: "draft",
+    metadata: {
+      seo_title: "About us",
+      canonical_url: "https://acme.example/about",
+      schema_markup: '{"@type":"AboutPage","name":"</script>"}',
+    },
+  };
+  const seo = contentSeo(page, context);
+  assert.is(seo.title, "About us");
+  assert.is(seo.description, "Parcels delivered");
+  assert.is(seo.canonical, "https://acme.example/about");
+  assert.is(seo.og_type, "website");
+  assert.is(seo.robots, "noindex, nofollow");
+  assert.is(seo.json_ld, '{"@type":"AboutPage","name":"\\u003c/script>"}');
+
+  const broken = contentSeo({ ...page, metadata: { schema_markup: "{oops" } }, context);
+  assert.is(JSON.parse(broken.json_ld)["@type"], "WebPage");
+
+  const listing = pageSeo({ title: "Blog", path: "/blog?page=2" }, context);
+  assert.is(listing.canonical, "https://example.com/blog?page=2");
+  assert.is(listing.twitter_card, "summary");
+});
+
+test("The head partial escapes values and embeds the JSON-LD", function () {
+  const html = headMeta({ seo: contentSeo(post, context) });
+  assert.ok(html.includes("<title>Fish &amp; Chips | Acme</title>"));
+  assert.ok(html.includes('<meta property="og:type" content="article" />'));
+  assert.ok(html.includes('<meta property="article:tag" content="food" />'));
+  assert.ok(html.includes('<meta name="twitter:image" content="https://example.com/uploads/fish.jpg" />'));
+  assert.ok(html.includes('<script type="application/ld+json">{"@context":"https://schema.org"'));
+
+  const fallback = headMeta({ title: "Oops", site: context.site });
+  assert.ok(fallback.includes("<title>Oops | Acme</title>"));
+  assert.ok(fallback.includes('<meta name="description" content="Parcels delivered" />'));
+});
+
+test.run();
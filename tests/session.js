@@ -0,0 +1,73 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const session = require("../middleware/session");
+const { Sessions, User } = require("../models/schemas");
+
+const options = {
+  secret: "test",
+  cookie_name: "sid",
+  max_age: 3600,
+  touch_interval: 60,
+  secure: false,
+};
+
+function sessionRecord(user) {
+  return {
+    session_id: "abc",
+    last_accessed: new Date(),
+    data: { user },
+    destroyed: false,
+    extend: async () => {},
+    destroy: async function () {
+      this.destroyed = true;
+    },
+  };
+}
+
+async function run(record, account) {
+  const { findBySessionId } = Sessions;
+  const { findOne } = User;
+  Sessions.findBySessionId = async () => record;
+  User.findOne = () => ({ select: () => ({ lean: async () => account }) });
+  const req = { signedCookies: { sid: "abc" }, get: () => undefined };
+  const res = { cookie: () => {}, clearCookie: () => (res.cleared = true) };
+  try {
+    await new Promise((resolve, reject) =>
+      session(options)(req, res, (error) => (error ? reject(error) : resolve()))
+    );
+  } finally {
+    Sessions.findBySessionId = findBySessionId;
+    User.findOne = findOne;
+  }
+  return { req, res };
+}
+
+test("Sessions pick up role and permission changes", async function () {
+  const record = sessionRecord({ ID: "u1", username: "ann", role: "admin", permissions: ["x"] });
+  const { req } = await run(record, {
+    ID: "u1",
+    username: "ann",
+    email: "ann@example.com",
+    role: "author",
+    permissions: [],
+    status: "active",
+  });
+  assert.is(req.session.user.role, "author");
+  assert.equal(req.session.user.permissions, []);
+  assert.not.ok(record.destroyed);
+});
+
+test("Sessions of deactivated or deleted users end", async function () {
+  const suspended = sessionRecord({ ID: "u1", role: "admin" });
+  const first = await run(suspended, { ID: "u1", role: "admin", status: "suspended" });
+  assert.ok(suspended.destroyed);
+  assert.is(first.req.session.user, undefined);
+  assert.ok(first.res.cleared);
+
+  const deleted = sessionRecord({ ID: "u2", role: "admin" });
+  await run(deleted, null);
+  assert.ok(deleted.destroyed);
+});
+
+test.run();
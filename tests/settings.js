@@ -0,0 +1,163 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const { toField, parseValue, parseBundle } = require("../lib/settings-form");
+const permissions = require("../lib/permissions");
+const admin = require("../routes/admin");
+const siteSettings = require("../middleware/site-settings");
+const SettingsModel = require("../models/settings");
+const { Settings } = require("../models");
+const { Settings: SettingsSchema } = require("../models/schemas");
+
+const title = {
+  key: "site_title",
+  value: "My Website",
+  type: "string",
+  category: "general",
+  label: "Site Title",
+  validation: { required: true, max_length: 100 },
+};
+const comments = { key: "enable_comments", value: true, type: "boolean", category: "general", label: "Enable Comments" };
+const smtp = { key: "smtp_settings", value: { host: "" }, type: "object", category: "email", label: "SMTP", editable: false };
+
+test("Fields follow the setting metadata", function () {
+  const field = toField(title);
+  assert.is(field.name, "setting_site_title");
+  assert.ok(field.isText);
+  assert.is(field.max_length, 100);
+  assert.ok(field.required);
+  assert.ok(toField(comments).checked);
+  assert.not.ok(toField(comments, "false").checked);
+  assert.ok(toField(smtp).readonly);
+  assert.is(toField(smtp).value, '{\n  "host": ""\n}');
+  const select = toField({ ...title, validation: { options: ["light", "dark"] }, value: "dark" });
+  assert.ok(select.isSelect);
+  assert.equal(select.options, [
+    { value: "light", selected: false },
+    { value: "dark", selected: true },
+  ]);
+});
+
+test("Submitted strings become typed values", function () {
+  assert.equal(parseValue(comments, undefined), { value: false });
+  assert.equal(parseValue({ type: "number" }, " 12 "), { value: 12 });
+  assert.ok(parseValue({ type: "number" }, "twelve").error);
+  assert.equal(parseValue({ type: "array" }, "[1,2]"), { value: [1, 2] });
+  assert.ok(parseValue({ type: "array" }, "{}").error);
+  assert.ok(parseValue({ type: "object" }, "{nope").error);
+});
+
+test("Access levels follow the role", function () {
+  assert.is(permissions.settingsAccessLevel({ role: "super_admin" }), "super_admin");
+  assert.is(permissions.settingsAccessLevel({ role: "admin" }), "admin");
+  assert.is(permissions.settingsAccessLevel({ role: "editor" }), "public");
+});
+
+test("Only changed, valid and editable settings are saved", async function () {
+  const original = {
+    validateSettingValue: Settings.validateSettingValue,
+    bulkUpdateSettings: Settings.bulkUpdateSettings,
+  };
+  const saved = [];
+  Settings.validateSettingValue = async (key, value) =>
+    value === "" ? { valid: false, error: `Invalid value for setting '${key}'` } : { valid: true };
+  Settings.bulkUpdateSettings = async (changes, userId) => {
+    saved.push({ changes, userId });
+    return Object.keys(changes).map((key) => ({ key, success: true }));
+  };
+  const grouped = { general: [title, comments], email: [smtp] };
+  const request = (body) => ({ body, session: { user: { ID: "u1" } } });
+
+  try {
+    const errors = await admin.saveSettings(
+      request({ setting_site_title: "New title", setting_enable_comments: "true", setting_smtp_settings: "{}" }),
+      grouped
+    );
+    assert.equal(errors, {});
+    assert.equal(saved, [{ changes: { site_title: "New title" }, userId: "u1" }]);
+
+    const invalid = await admin.saveSettings(request({ setting_site_title: "" }), grouped);
+    assert.equal(Object.keys(invalid), ["site_title"]);
+    assert.is(saved.length, 1);
+  } finally {
+    Object.assign(Settings, original);
+  }
+});
+
+test("Public settings are cached until a setting changes", async function () {
+  const model = new SettingsModel();
+  let reads = 0;
+  model.getlist = async () => {
+    reads++;
+    return [{ key: "site_title", value: `Title ${reads}` }];
+  };
+  model.findOne = async () => ({ validateValue: () => true });
+  model.model = { findOneAndUpdate: async () => ({}) };
+  model.clearCache();
+
+  assert.equal(await model.getPublicSettings(), { site_title: "Title 1" });
+  const cached = await model.getPublicSettings();
+  assert.equal(cached, { site_title: "Title 1" });
+  cached.site_title = "changed by a caller";
+  assert.equal(await model.getPublicSettings(), { site_title: "Title 1" });
+  assert.is(reads, 1);
+
+  await model.setSetting("site_title", "Title 2");
+  assert.equal(await model.getPublicSettings(), { site_title: "Title 2" });
+  assert.is(reads, 2);
+  model.clearCache();
+});
+
+test("Templates get the site settings", async function () {
+  const res = { locals: {} };
+  const middleware = siteSettings({
+    getPublicSettings: async () => ({ site_title: "Acme", site_description: "Parcels, fast" }),
+  });
+  await new Promise((resolve) => middleware({}, res, resolve));
+  assert.is(res.locals.site.title, "Acme");
+  assert.is(res.locals.site.meta_description, "Parcels, fast");
+  assert.is(res.locals.site.year, new Date().getFullYear());
+  assert.is(res.locals.settings.site_title, "Acme");
+});
+
+test("Import bundles are checked before previewing", function () {
+  assert.equal(parseBundle('{"version":1,"settings":[{"key":"a"}]}'), { settings: [{ key: "a" }] });
+  assert.equal(parseBundle('[{"key":"a"}]'), { settings: [{ key: "a" }] });
+  assert.ok(parseBundle("{oops").error);
+  assert.ok(parseBundle('{"settings":[null]}').error);
+});
+
+test("Import preview sorts keys without writing", async function () {
+  const model = new SettingsModel();
+  model.getlist = async () => [
+    new SettingsSchema(title),
+    new SettingsSchema({ ...smtp, access_level: "super_admin" }),
+    new SettingsSchema({ ...comments, access_level: "admin" }),
+  ];
+  const bundle = [
+    { ...title, value: "Production" },
+    { ...smtp, value: { host: "mail" }, access_level: "super_admin" },
+    { ...comments, access_level: "admin" },
+    { key: "posts_per_page", value: 5, type: "number", category: "general", label: "Posts" },
+    { key: "broken", value: 1, type: "nonsense", category: "general", label: "Broken" },
+    { ...title, value: "Twice" },
+  ];
+
+  const preview = await model.previewImport(bundle, true, "admin");
+  assert.equal(preview.added, [{ key: "posts_per_page", value: 5 }]);
+  assert.equal(preview.changed, [
+    { key: "site_title", changes: [{ field: "value", before: "My Website", after: "Production" }] },
+  ]);
+  assert.equal(preview.unchanged, [{ key: "enable_comments" }]);
+  assert.equal(
+    preview.skipped.map((entry) => entry.key),
+    ["smtp_settings", "broken", "site_title"]
+  );
+  assert.equal(preview.importable.map((entry) => entry.key), ["site_title", "posts_per_page"]);
+
+  const cautious = await model.previewImport(bundle.slice(0, 1), false, "admin");
+  assert.equal(cautious.skipped, [{ key: "site_title", reason: "Setting exists and overwrite disabled" }]);
+  assert.is(cautious.importable.length, 0);
+});
+
+test.run();
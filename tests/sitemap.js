@@ -0,0 +1,101 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const { urlset, sitemapIndex } = require("../lib/sitemap");
+const Sitemap = require("../routes/sitemap");
+const { Content, Settings } = require("../models");
+
+function item(slug, metadata = {}) {
+  return {
+    url: "/blog/" + slug,
+    metadata,
+    timestamps: { updated_at: new Date("2024-03-03T09:00:00Z") },
+  };
+}
+
+function request(params = {}) {
+  return { params, protocol: "https", get: (name) => (name === "host" ? "example.com" : undefined) };
+}
+
+function response() {
+  const res = {};
+  res.type = (type) => ((res.contentType = type), res);
+  res.send = (body) => (res.body = body);
+  return res;
+}
+
+async function withContent(total, entries, fn) {
+  const { countSitemapEntries, findSitemapEntries } = Content;
+  const calls = [];
+  Content.countSitemapEntries = async () => total;
+  Content.findSitemapEntries = async (skip, limit) => (calls.push({ skip, limit }), entries);
+  try {
+    await fn(calls);
+  } finally {
+    Content.countSitemapEntries = countSitemapEntries;
+    Content.findSitemapEntries = findSitemapEntries;
+  }
+}
+
+test("Sitemap XML escapes URLs and formats lastmod", function () {
+  const xml = urlset([
+    { loc: "https://example.com/" },
+    { loc: "https://example.com/a?b=1&c=2", lastmod: new Date("2024-03-03T09:00:00Z") },
+  ]);
+  assert.ok(xml.includes("<url><loc>https://example.com/</loc></url>"));
+  assert.ok(xml.includes("<loc>https://example.com/a?b=1&amp;c=2</loc><lastmod>2024-03-03T09:00:00.000Z</lastmod>"));
+  assert.ok(sitemapIndex(["https://example.com/sitemap-1.xml"]).includes("<sitemap><loc>https://example.com/sitemap-1.xml</loc></sitemap>"));
+});
+
+test("Small sites get a single sitemap without canonical duplicates", async function () {
+  const entries = [item("one"), item("copy", { canonical_url: "https://example.com/blog/one" }), item("self", { canonical_url: "/blog/self" })];
+  await withContent(3, entries, async (calls) => {
+    const res = response();
+    await Sitemap.run(request(), res);
+    assert.is(res.contentType, "application/xml");
+    assert.ok(res.body.includes("<loc>https://example.com/blog</loc>"));
+    assert.ok(res.body.includes("<loc>https://example.com/blog/one</loc><lastmod>2024-03-03T09:00:00.000Z</lastmod>"));
+    assert.ok(res.body.includes("https://example.com/blog/self"));
+    assert.not.ok(res.body.includes("/blog/copy"));
+    assert.equal(calls, [{ skip: 0, limit: 49998 }]);
+  });
+});
+
+test("Large sites get an index of numbered sitemaps", async function () {
+  await withContent(100000, [item("one")], async (calls) => {
+    const res = response();
+    await Sitemap.run(request(), res);
+    assert.ok(res.body.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex'));
+    assert.ok(res.body.includes("https://example.com/sitemap-3.xml"));
+    assert.not.ok(res.body.includes("sitemap-4.xml"));
+
+    const page = response();
+    await Sitemap.runPage(request({ page: "2" }), page);
+    assert.equal(calls, [{ skip: 49998, limit: 50000 }]);
+    assert.not.ok(page.body.includes("<loc>https://example.com/blog</loc>"));
+
+    let passed = false;
+    await Sitemap.runPage(request({ page: "4" }), response(), () => (passed = true));
+    assert.ok(passed);
+  });
+});
+
+test("robots.txt comes from settings and points at the sitemap", async function () {
+  const { getSetting } = Settings;
+  try {
+    Settings.getSetting = async () => "User-agent: *\nDisallow: /private";
+    const res = response();
+    await Sitemap.runRobots(request(), res);
+    assert.is(res.contentType, "text/plain");
+    assert.is(res.body, "User-agent: *\nDisallow: /private\n\nSitemap: https://example.com/sitemap.xml\n");
+
+    Settings.getSetting = async () => "User-agent: *\nSitemap: https://cdn.example.com/sitemap.xml";
+    const own = response();
+    await Sitemap.runRobots(request(), own);
+    assert.is(own.body, "User-agent: *\nSitemap: https://cdn.example.com/sitemap.xml");
+  } finally {
+    Settings.getSetting = getSetting;
+  }
+});
+
+test.run();
@@ -0,0 +1,153 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const image = require("../lib/image");
+const srcset = require("../lib/srcset");
+const MediaModel = require("../models/media");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "thumbnail-test-"));
+const model = new MediaModel({ root, url: "/uploads" });
+
+test.after(function () {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function solid(width, height, rgba) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) rgba.forEach((value, channel) => (data[i + channel] = value));
+  return { width, height, data };
+}
+
+// Stands in for a Media document: just the fields and methods process() uses
+function fakeMedia(filePath, mimeType) {
+  return {
+    file_path: filePath,
+    mime_type: mimeType,
+    processing: { status: "processing" },
+    async markProcessingComplete(thumbnails) {
+      this.processing = { status: "completed", thumbnails };
+      return this;
+    },
+    async markProcessingFailed(message) {
+      this.processing = { status: "failed", error_message: message };
+      return this;
+    },
+  };
+}
+
+test("Dimensions are read from image headers", function () {
+  const png = image.encode(solid(30, 20, [255, 0, 0, 255]), "image/png");
+  const jpeg = image.encode(solid(40, 25, [0, 0, 255, 255]), "image/jpeg");
+  const gif = Buffer.from([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 12, 0, 7, 0]);
+  assert.equal(image.readDimensions(png, "image/png"), { width: 30, height: 20 });
+  assert.equal(image.readDimensions(jpeg, "image/jpeg"), { width: 40, height: 25 });
+  assert.equal(image.readDimensions(gif, "image/gif"), { width: 12, height: 7 });
+});
+
+test("Resizing keeps the aspect ratio and averages pixels", function () {
+  const source = solid(4, 2, [0, 0, 0, 255]);
+  // left half white, right half black
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 2; x++) source.data.fill(255, (y * 4 + x) * 4, (y * 4 + x) * 4 + 3);
+  }
+  const resized = image.resize(source, 2);
+  assert.is(resized.height, 1);
+  assert.equal([...resized.data], [255, 255, 255, 255, 0, 0, 0, 255]);
+  assert.is(image.resize(source, 1).data[0], 128);
+});
+
+test("Processing records dimensions and only generates smaller variants", async function () {
+  const buffer = image.encode(solid(700, 350, [10, 200, 30, 255]), "image/png");
+  fs.mkdirSync(path.join(root, "blog"), { recursive: true });
+  fs.writeFileSync(path.join(root, "blog/photo.png"), buffer);
+
+  const media = await model.process(fakeMedia("blog/photo.png", "image/png"));
+  assert.equal(media.image_metadata, { width: 700, height: 350 });
+  assert.is(media.processing.status, "completed");
+  assert.equal(
+    media.processing.thumbnails.map(({ size, width, height }) => [size, width, height]),
+    [["small", 320, 160], ["medium", 640, 320]]
+  );
+  const small = media.processing.thumbnails[0];
+  assert.is(small.url, "/uploads/blog/photo-small.png");
+  assert.equal(image.readDimensions(fs.readFileSync(path.join(root, small.file_path)), "image/png"), {
+    width: 320,
+    height: 160,
+  });
+});
+
+test("Phone-sized photos get thumbnails while the event loop keeps running", async function () {
+  const buffer = image.encode(solid(4000, 3000, [90, 120, 200, 255]), "image/jpeg");
+  fs.writeFileSync(path.join(root, "phone.jpg"), buffer);
+
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 20);
+  try {
+    const media = await model.process(fakeMedia("phone.jpg", "image/jpeg"));
+    assert.is(media.processing.status, "completed");
+    assert.equal(
+      media.processing.thumbnails.map(({ size, width, height }) => [size, width, height]),
+      [["small", 320, 240], ["medium", 640, 480], ["large", 1024, 768], ["xlarge", 1600, 1200]]
+    );
+  } finally {
+    clearInterval(timer);
+  }
+  assert.ok(ticks > 5);
+});
+
+test("Unreadable files mark the item as failed", async function () {
+  fs.writeFileSync(path.join(root, "broken.png"), Buffer.from("not a png at all, just text"));
+  const media = fakeMedia("broken.png", "image/png");
+  try {
+    await model.process(media);
+    assert.unreachable("should have thrown");
+  } catch (error) {
+    assert.match(error.message, /Media processing failed/);
+  }
+  assert.is(media.processing.status, "failed");
+});
+
+test("Images declaring too many pixels fail without being decoded", async function () {
+  const buffer = image.encode(solid(2, 2, [0, 0, 0, 255]), "image/png");
+  buffer.writeUInt32BE(50000, 16);
+  buffer.writeUInt32BE(50000, 20);
+  fs.writeFileSync(path.join(root, "bomb.png"), buffer);
+
+  const { thumbnailsInWorker } = image;
+  let decoded = false;
+  image.thumbnailsInWorker = (...args) => ((decoded = true), thumbnailsInWorker(...args));
+  const media = fakeMedia("bomb.png", "image/png");
+  try {
+    await model.process(media);
+    assert.unreachable("should have thrown");
+  } catch (error) {
+    assert.match(error.message, /too large/);
+  } finally {
+    image.thumbnailsInWorker = thumbnailsInWorker;
+  }
+  assert.not.ok(decoded);
+  assert.is(media.processing.status, "failed");
+  assert.match(media.processing.error_message, /50000x50000/);
+  assert.throws(() => image.decode(buffer, "image/png"), /too large/);
+});
+
+test("srcset lists the variants and the original by width", function () {
+  assert.is(
+    srcset({
+      url: "/uploads/a.jpg",
+      width: 1200,
+      thumbnails: [
+        { url: "/uploads/a-medium.jpg", width: 640 },
+        { url: "/uploads/a-small.jpg", width: 320 },
+      ],
+    }),
+    "/uploads/a-small.jpg 320w, /uploads/a-medium.jpg 640w, /uploads/a.jpg 1200w"
+  );
+  assert.is(srcset({ url: "/uploads/a.jpg", width: 100, thumbnails: [] }), "");
+  assert.is(srcset(undefined), "");
+});
+
+test.run();
@@ -0,0 +1,37 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const parseUserAgent = require("../lib/user-agent");
+
+test("Desktop Chrome on Windows", function () {
+  const info = parseUserAgent(
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+  );
+  assert.is(info.browser, "Chrome");
+  assert.is(info.browser_version, "120.0.0.0");
+  assert.is(info.os, "Windows");
+  assert.is(info.device_type, "desktop");
+  assert.not.ok(info.is_bot);
+});
+
+test("Mobile Safari on iPhone", function () {
+  const info = parseUserAgent(
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1"
+  );
+  assert.is(info.browser, "Safari");
+  assert.is(info.os, "iOS");
+  assert.is(info.os_version, "17.1");
+  assert.is(info.device_type, "mobile");
+});
+
+test("Android tablet and crawlers", function () {
+  const tablet = parseUserAgent(
+    "Mozilla/5.0 (Linux; Android 13; SM-X200) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36"
+  );
+  assert.is(tablet.os, "Android");
+  assert.is(tablet.device_type, "tablet");
+  assert.ok(parseUserAgent("Googlebot/2.1 (+http://www.google.com/bot.html)").is_bot);
+  assert.is(parseUserAgent().device_type, "desktop");
+});
+
+test.run();
@@ -0,0 +1,78 @@
+const { test } = require("uvu");
+const assert = require("uvu/assert");
+
+const UserModel = require("../models/user");
+const config = require("../config")();
+
+const model = new UserModel();
+
+test("Password hashing round trip", async function () {
+  const { hash, salt } = await model.hashPassword("correct horse");
+  assert.ok(hash);
+  assert.ok(salt);
+  assert.ok(await model.verifyPassword("correct horse", hash, salt));
+  assert.not.ok(await model.verifyPassword("battery staple", hash, salt));
+});
+
+test("Lockout only applies within the cooldown", function () {
+  const { max_failed_logins, lockout_minutes } = config.auth;
+  const recent = {
+    activity: {
+      failed_login_attempts: max_failed_logins,
+      last_failed_login: new Date(),
+    },
+  };
+  const expired = {
+    activity: {
+      failed_login_attempts: max_failed_logins,
+      last_failed_login: new Date(Date.now() - (lockout_minutes + 1) * 60000),
+    },
+  };
+  const belowLimit = {
+    activity: {
+      failed_login_attempts: max_failed_logins - 1,
+      last_failed_login: new Date(),
+    },
+  };
+  assert.ok(model.getLockoutExpiry(recent) > new Date());
+  assert.is(model.getLockoutExpiry(expired), null);
+  assert.is(model.getLockoutExpiry(belowLimit), null);
+  assert.is(model.getLockoutExpiry({}), null);
+});
+
+test("Credentials that are not strings are rejected before any lookup", async function () {
+  const lookups = [];
+  const guarded = new UserModel();
+  guarded.model = { findOne: (query) => (lookups.push(query), { select: async () => null }) };
+  for (const [identifier, password] of [
+    [{ $ne: null }, "secret"],
+    [["admin"], "secret"],
+    ["admin", { $gt: "" }],
+  ]) {
+    assert.equal(await guarded.authenticate(identifier, password), {
+      user: null,
+      reason: "missing_credentials",
+    });
+  }
+  assert.is(await guarded.findForAuthentication({ $ne: null }), null);
+  assert.is(lookups.length, 0);
+});
+
+test("A wrong password counts against the account that was found", async function () {
+  const { hash, salt } = await model.hashPassword("correct horse");
+  const updates = [];
+  const guarded = new UserModel();
+  // "bob@example.com" is this account's username and another account's email
+  guarded.findForAuthentication = async () => ({ ID: "u1", password_hash: hash, salt, activity: {} });
+  guarded.model = {
+    findOne: () => assert.unreachable("the account should not be looked up again"),
+    findOneAndUpdate: async (filter, update) => updates.push([filter, update.$inc]),
+  };
+  assert.equal(await guarded.authenticate("bob@example.com", "wrong"), {
+    user: null,
+    reason: "invalid_credentials",
+  });
+  assert.equal(updates, [[{ ID: "u1" }, { "activity.failed_login_attempts": 1 }]]);
+});
+
+test.run();